@@ -1,5 +1,8 @@
 /* eslint-disable consistent-return */
 /* eslint-disable no-param-reassign */
+// The code shared with the page, e.g. the targeting rules and the personalization tokens of the notifications
+importScripts('./swanShared.js');
+
 // Define the endpoints for fetching notifications and acknowledging them
 const onSiteNotificationsEndpoint =
 	'https://swan-web-sdk.azurewebsites.net/api/post-on-site-notification-to-sdk';
@@ -96,6 +99,23 @@ const IDBSwan = {
 		});
 	},
 
+	/**
+	 * Get a record from db based on key.
+	 *
+	 * @param {string} key - The commId of the notification.
+	 * @returns {Promise<Object|undefined>} A promise that resolves with the notification, undefined when it is not stored.
+	 */
+	async getRecord(key) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readonly');
+		const result = tx.objectStore(this.storeName).get(key);
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve(result.result);
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
 	/**
 	 * Delete record from db based on key.
 	 *
@@ -112,6 +132,143 @@ const IDBSwan = {
 			tx.onerror = () => reject(tx.error);
 		});
 	},
+
+	/**
+	 * Counts a display of a notification that has a display limit, once the page has shown it.
+	 *
+	 * @param {string} commId - The commId of the notification.
+	 * @returns {Promise<void>} A promise that resolves when the display has been counted.
+	 */
+	async incrementDisplayCount(commId) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		const store = tx.objectStore(this.storeName);
+		const request = store.get(commId);
+		request.onsuccess = () => {
+			const notification = request.result;
+			if (!notification?.displayLimit) return;
+			store.put({
+				...notification,
+				displayCount: (notification.displayCount ?? 0) + 1,
+			});
+		};
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+};
+
+/**
+ * Object for managing the IndexedDB history of the on-site notifications shown, used for the frequency caps.
+ * It has a database of its own, so that the caps still hold after a logout deletes on-site-db.
+ *
+ * @namespace DisplayHistorySwan
+ */
+const DisplayHistorySwan = {
+	dbInstance: null,
+	dbName: 'swan-display-history-db',
+	storeName: 'display-history',
+	// every on-site notification shown in the last day is kept
+	maxAge: 24 * 60 * 60 * 1000,
+
+	/**
+	 * Gets the current database instance, or creates a new one if it doesn't exist.
+	 *
+	 * @returns {Promise<IDBDatabase>} The database instance.
+	 */
+	async getDB() {
+		if (this.dbInstance) return this.dbInstance;
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(this.dbName, 1);
+			request.onerror = () => reject(request.error);
+			// Creating the object store for the displays
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				if (!db.objectStoreNames.contains(this.storeName)) {
+					db.createObjectStore(this.storeName, { autoIncrement: true });
+				}
+			};
+
+			request.onsuccess = () => {
+				const db = request.result;
+				// The page deletes the database when the marketing consent is revoked, the open connection must not block it
+				db.onversionchange = () => {
+					db.close();
+					this.dbInstance = null;
+				};
+				this.dbInstance = db;
+				resolve(db);
+			};
+		});
+	},
+
+	/**
+	 * Records that an on-site notification has been shown.
+	 *
+	 * @param {{ commId: string, sessionId: string, shownAt: number }} display - The display to record.
+	 * @returns {Promise<void>} A promise that resolves when the display has been recorded.
+	 */
+	async add(display) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		tx.objectStore(this.storeName).add(display);
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	/**
+	 * Gets the on-site notifications shown in the last day, the older displays are deleted on the way.
+	 *
+	 * @returns {Promise<Array<{ commId: string, sessionId: string, shownAt: number }>>} The displays, oldest first.
+	 */
+	async getAll() {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		const store = tx.objectStore(this.storeName);
+		const displays = [];
+		const since = Date.now() - this.maxAge;
+
+		store.openCursor().onsuccess = (event) => {
+			const cursor = event.target.result;
+			if (!cursor) return;
+			if (cursor.value.shownAt < since) {
+				cursor.delete();
+			} else {
+				displays.push(cursor.value);
+			}
+			cursor.continue();
+		};
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve(displays);
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+};
+
+/**
+ * Checks whether a frequency cap is reached by the given displays.
+ * A missing or zero limit means no cap.
+ *
+ * @param {{ maxPerSession: number, maxPerDay: number }} frequencyCap - The limits to check.
+ * @param {Array<{ sessionId: string }>} displays - The displays of the last day the cap applies to.
+ * @param {string} sessionId - The id of the current session.
+ * @returns {boolean}
+ */
+const isFrequencyCapReached = (frequencyCap, displays, sessionId) => {
+	if (!frequencyCap) return false;
+	const { maxPerSession, maxPerDay } = frequencyCap;
+	if (maxPerDay && displays.length >= maxPerDay) return true;
+	if (!maxPerSession || !sessionId) return false;
+	const sessionDisplays = displays.filter(
+		(display) => display.sessionId === sessionId
+	);
+	return sessionDisplays.length >= maxPerSession;
 };
 
 // urlB64ToUint8Array is a magic function that will encode the base64 public key
@@ -129,38 +286,298 @@ const urlB64ToUint8Array = (base64String) => {
 	return outputArray;
 };
 
-const sendToSwan = (url, data) => {
+/**
+ * Checks whether a failed request is worth sending again later.
+ * Timeouts, throttling and server errors are retried, other client errors are not.
+ *
+ * @param {number} status - The status of the response.
+ * @returns {boolean}
+ */
+const isRetryableStatus = (status) =>
+	status === 408 || status === 429 || status >= 500;
+
+/**
+ * Posts the data to Swan.
+ *
+ * @param {string} url - The URL to send the data to.
+ * @param {Object} data - The data to be sent.
+ * @returns {Promise<Response>} A promise that resolves with the response, and rejects on network errors.
+ */
+const postToSwan = (url, data) =>
 	fetch(url, {
 		method: 'POST',
 		headers: {
 			'Content-Type': 'application/json',
 		},
 		body: JSON.stringify(data),
-	}).catch((error) => {
-		console.error(error);
 	});
+
+/**
+ * Object for managing the IndexedDB outbox of requests that could not be sent to Swan.
+ * The requests are replayed from the 'sync' event, or on the next activation or fetch in browsers without Background Sync,
+ * the only ones the fetch listener is registered in.
+ *
+ * @namespace OutboxSwan
+ */
+const OutboxSwan = {
+	dbInstance: null,
+	dbName: 'swan-outbox-db',
+	storeName: 'pending-requests',
+	syncTag: 'swan-outbox-sync',
+	// Requests older than this are dropped instead of being replayed
+	maxRequestAge: 7 * 24 * 60 * 60 * 1000,
+	// Minimum time between two fallback replays triggered by fetch events
+	replayInterval: 60 * 1000,
+	lastReplayAt: 0,
+	replaying: null,
+
+	/**
+	 * Gets the current database instance, or creates a new one if it doesn't exist.
+	 *
+	 * @returns {Promise<IDBDatabase>} The database instance.
+	 */
+	async getDB() {
+		if (this.dbInstance) return this.dbInstance;
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(this.dbName, 1);
+			request.onerror = () => reject(request.error);
+			// Creating the object store for the pending requests
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				if (!db.objectStoreNames.contains(this.storeName)) {
+					db.createObjectStore(this.storeName, {
+						keyPath: 'id',
+						autoIncrement: true,
+					});
+				}
+			};
+
+			request.onsuccess = () => {
+				this.dbInstance = request.result;
+				resolve(request.result);
+			};
+		});
+	},
+
+	/**
+	 * Adds a failed request to the outbox and asks the browser for a background sync.
+	 *
+	 * @param {string} url - The URL the request has to be sent to.
+	 * @param {Object} data - The body of the request.
+	 * @returns {Promise<void>} A promise that resolves when the request has been stored.
+	 */
+	async add(url, data) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		tx.objectStore(this.storeName).add({ url, data, createdAt: Date.now() });
+
+		await new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+
+		if (self.registration.sync) {
+			try {
+				await self.registration.sync.register(this.syncTag);
+			} catch (error) {
+				console.error('Error registering background sync:', error);
+			}
+		}
+	},
+
+	/**
+	 * Get all requests from the outbox, oldest first.
+	 *
+	 * @returns {Promise<Object[]>} A promise that resolves with the stored requests.
+	 */
+	async getAllRecordsFromDB() {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readonly');
+		const result = tx.objectStore(this.storeName).getAll();
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve(result.result);
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	/**
+	 * Delete a request from the outbox based on key.
+	 *
+	 * @returns {Promise<void>} A promise that resolves when the request has been deleted from db.
+	 */
+	async deleteRecord(key) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		tx.objectStore(this.storeName).delete(key);
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	/**
+	 * Sends the requests stored in the outbox, removing the ones that went through.
+	 * Only one replay runs at a time, concurrent callers share it.
+	 *
+	 * @returns {Promise<boolean>} Resolves true when the outbox is empty afterwards.
+	 */
+	async replay() {
+		if (!this.replaying) {
+			this.lastReplayAt = Date.now();
+			this.replaying = this.replayRecords().finally(() => {
+				this.replaying = null;
+			});
+		}
+		return this.replaying;
+	},
+
+	/**
+	 * Sends the stored requests one by one and stops at the first one that fails again.
+	 *
+	 * @returns {Promise<boolean>} Resolves true when every request has been sent or dropped.
+	 */
+	async replayRecords() {
+		const records = await this.getAllRecordsFromDB();
+		// eslint-disable-next-line no-restricted-syntax
+		for (const record of records) {
+			if (Date.now() - record.createdAt <= this.maxRequestAge) {
+				try {
+					// eslint-disable-next-line no-await-in-loop
+					const response = await postToSwan(record.url, record.data);
+					if (isRetryableStatus(response.status)) {
+						throw new Error(`request failed with status ${response.status}`);
+					}
+				} catch (error) {
+					console.error('Error replaying request to Swan:', error);
+					return false;
+				}
+			}
+			// eslint-disable-next-line no-await-in-loop
+			await this.deleteRecord(record.id);
+		}
+		return true;
+	},
 };
 
 /**
- * Fetches data from Swan.
+ * Sends data to Swan, storing it in the outbox to be replayed later when the request fails.
  *
- * @param {string} url - The URL to fetch data from.
- * @returns {Promise<Object>} A promise that resolves with the JSON response.
- * @throws {Error} When the request fails.
+ * @param {string} url - The URL to send the data to.
+ * @param {Object} data - The data to be sent.
+ * @returns {Promise<void>} A promise that resolves when the data has been sent or stored.
  */
-const fetchFromSwan = async (url, query = {}) => {
+const sendToSwan = async (url, data) => {
 	try {
-		const params = new URLSearchParams(query);
-		url = `${url}?${params.toString()}`;
-
-		const response = await fetch(url);
-		if (!response.ok) {
+		const response = await postToSwan(url, data);
+		if (isRetryableStatus(response.status)) {
 			throw new Error(`request failed with status ${response.status}`);
 		}
+	} catch (error) {
+		console.error(error);
+		try {
+			await OutboxSwan.add(url, data);
+		} catch (outboxError) {
+			console.error('Error storing request in the outbox:', outboxError);
+		}
+	}
+};
+
+/**
+ * Fetches data from Swan.
+ * A 304 Not Modified is a successful response too, for the conditional requests.
+ * A network error, a failed CORS preflight included, rejects with the TypeError thrown by fetch.
+ *
+ * @param {string} url - The URL to fetch data from.
+ * @param {Object} query - The query parameters.
+ * @param {Object} headers - The headers of the request, e.g. If-None-Match.
+ * @returns {Promise<Response|undefined>} A promise that resolves with the response, undefined when the server answered with an error.
+ */
+const fetchFromSwan = async (url, query = {}, headers = {}) => {
+	const params = new URLSearchParams(query);
+	url = `${url}?${params.toString()}`;
+
+	const response = await fetch(url, { headers });
+	if (!response.ok && response.status !== 304) {
+		console.error(
+			'Error fetching data from Swan:',
+			`request failed with status ${response.status}`
+		);
+		return;
+	}
+
+	return response;
+};
+
+/**
+ * How often the on-site notifications are fetched when the server doesn't say, and how long to wait after a failed fetch.
+ */
+const DEFAULT_REFRESH_INTERVAL = 60 * 60 * 1000;
+const FAILED_FETCH_RETRY_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * How long If-None-Match is left out after the server has refused it, before it is tried again.
+ */
+const CONDITIONAL_RETRY_INTERVAL = 24 * 60 * 60 * 1000;
 
+/**
+ * Gets how long the fetched on-site notifications are fresh, as told by the server:
+ * the refreshAfter field of the body in seconds, or the max-age of the Cache-Control header.
+ *
+ * @param {Response} response - The response of the server.
+ * @param {Object} [body] - The body of the response, missing for a 304.
+ * @returns {number} The milliseconds before the notifications are fetched again.
+ */
+const getRefreshInterval = (response, body) => {
+	if (body && body.refreshAfter !== undefined && body.refreshAfter !== null) {
+		return Math.max(Number(body.refreshAfter) || 0, 0) * 1000;
+	}
+	const cacheControl = response.headers.get('Cache-Control') || '';
+	if (/no-cache|no-store/.test(cacheControl)) return 0;
+	const maxAge = cacheControl.match(/max-age=(\d+)/);
+	return maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_REFRESH_INTERVAL;
+};
+
+/**
+ * Gets when the on-site notifications can be fetched again, and the ETag of the last response, from the cache.
+ * conditionalRetryAt is set when the server has refused a request with If-None-Match, e.g. in its CORS preflight,
+ * and the header is left out until then.
+ *
+ * @param {Cache} cache - The swan cache.
+ * @returns {Promise<{ nextFetchAt: number, etag: string, credentials: string, conditionalRetryAt: number }>} The fetch state, empty before the first fetch.
+ */
+const getNotificationFetchState = async (cache) => {
+	const response = await cache.match('/notificationFetchState');
+	if (!response) return { nextFetchAt: 0 };
+	try {
 		return await response.json();
 	} catch (error) {
-		console.error('Error fetching data from Swan:', error);
+		return { nextFetchAt: 0 };
+	}
+};
+
+/**
+ * Stores the fetch state of the on-site notifications in the cache.
+ *
+ * @param {Cache} cache - The swan cache.
+ * @param {{ nextFetchAt: number, etag: string, credentials: string, conditionalRetryAt: number }} state - The fetch state.
+ * @returns {Promise<void>} A promise that resolves when the state has been stored.
+ */
+const saveNotificationFetchState = (cache, state) =>
+	cache.put('/notificationFetchState', new Response(JSON.stringify(state)));
+
+/**
+ * Removes the fetch state of the on-site notifications, so that the next fetch gets the whole list again.
+ *
+ * @returns {Promise<void>} A promise that resolves when the state has been removed.
+ */
+const clearNotificationFetchState = async () => {
+	try {
+		const cache = await caches.open('swan-cache');
+		await cache.delete('/notificationFetchState');
+	} catch (error) {
+		console.error('Error clearing the notification fetch state:', error);
 	}
 };
 
@@ -195,22 +612,41 @@ const TRACKING_URL = `{{TRACKING_URL}}/${APP_ID}`;
 self.addEventListener('install', (event) =>
 	event.waitUntil(self.skipWaiting())
 );
-self.addEventListener('activate', async (event) => {
+self.addEventListener('activate', (event) => {
 	event.waitUntil(self.clients.claim());
-	// This will be called only once when the service worker is activated.
-	try {
-		const applicationServerKey = urlB64ToUint8Array(APP_SERVER_KEY);
-		const options = { userVisibleOnly: true, applicationServerKey };
-		await self.registration.pushManager.subscribe(options);
-	} catch (err) {
-		console.log('Error', err);
-	}
+	// Replay the requests left in the outbox, for browsers without Background Sync
+	event.waitUntil(OutboxSwan.replay());
+});
+
+// The page asks for the push subscription once the user has given the push consent,
+// the worker is also registered for the on-site notifications alone, which don't need it.
+self.addEventListener('message', (event) => {
+	if (event.data.purpose !== 'subscribe-to-push') return;
+	const applicationServerKey = urlB64ToUint8Array(APP_SERVER_KEY);
+	const options = { userVisibleOnly: true, applicationServerKey };
+	event.waitUntil(
+		self.registration.pushManager
+			.subscribe(options)
+			.catch((err) => console.log('Error', err))
+	);
 });
 
 self.addEventListener('push', (event) => {
 	if (event.data) {
 		const pushData = event.data.json();
-		showLocalNotification(pushData, self.registration);
+
+		// A data-only push refreshes the on-site notifications, nothing is shown.
+		if (pushData.type === 'onsite-sync') {
+			event.waitUntil(handleOnSiteSyncPush(pushData));
+			return;
+		}
+
+		// A visible push can carry an on-site sync along, e.g. for the users who are not on the site.
+		if (pushData.onsiteSync) {
+			event.waitUntil(syncOnSiteNotifications(pushData.onsiteSync));
+		}
+
+		event.waitUntil(showLocalNotification(pushData, self.registration));
 		const data = {
 			eventType: 'webPushDelivered',
 			eventData: {
@@ -222,12 +658,34 @@ self.addEventListener('push', (event) => {
 				appId: APP_ID,
 			},
 		};
-		sendToSwan(TRACKING_URL, data);
+		event.waitUntil(sendToSwan(TRACKING_URL, data));
 	} else {
 		console.log('Push event but no data');
 	}
 });
 
+// Replay the requests stored in the outbox once the browser is back online.
+// Rejecting makes the browser retry the sync later.
+self.addEventListener('sync', (event) => {
+	if (event.tag !== OutboxSwan.syncTag) return;
+	event.waitUntil(
+		OutboxSwan.replay().then((done) => {
+			if (!done) throw new Error('Outbox replay incomplete');
+		})
+	);
+});
+
+// Fallback for browsers without Background Sync, replay the outbox when the page fetches something.
+// The request itself is left to the browser. Other browsers don't get a fetch listener, which would slow down every request.
+if (!('sync' in self.registration)) {
+	self.addEventListener('fetch', (event) => {
+		if (Date.now() - OutboxSwan.lastReplayAt < OutboxSwan.replayInterval) {
+			return;
+		}
+		event.waitUntil(OutboxSwan.replay());
+	});
+}
+
 self.addEventListener('notificationclick', (event) => {
 	switch (event.action) {
 		case 'close': {
@@ -255,7 +713,7 @@ self.addEventListener('notificationclick', (event) => {
 					appId: APP_ID,
 				},
 			};
-			sendToSwan(TRACKING_URL, data);
+			event.waitUntil(sendToSwan(TRACKING_URL, data));
 			break;
 		}
 		case 'button_click_2': {
@@ -280,7 +738,7 @@ self.addEventListener('notificationclick', (event) => {
 					appId: APP_ID,
 				},
 			};
-			sendToSwan(TRACKING_URL, data);
+			event.waitUntil(sendToSwan(TRACKING_URL, data));
 			break;
 		}
 		default: {
@@ -299,17 +757,38 @@ self.addEventListener('notificationclick', (event) => {
 					appId: APP_ID,
 				},
 			};
-			sendToSwan(TRACKING_URL, data);
+			event.waitUntil(sendToSwan(TRACKING_URL, data));
 			break;
 		}
 	}
 });
 
-const showLocalNotification = (body, swRegistration) => {
+/**
+ * Gets the values the personalization tokens of the push notifications are resolved from.
+ * The page keeps a copy of them in the cache, as the service worker can't read its local storage.
+ *
+ * @returns {Promise<Object>} The personalization context, empty when the page hasn't stored one.
+ */
+const getPersonalizationContext = async () => {
+	try {
+		const cache = await caches.open('swan-cache');
+		const response = await cache.match('/personalizationContext');
+		return response ? await response.json() : {};
+	} catch (error) {
+		console.error('Error reading the personalization context:', error);
+		return {};
+	}
+};
+
+const showLocalNotification = async (body, swRegistration) => {
+	// Resolving the personalization tokens of the title and the body, e.g. {{firstName|there}}
+	const context = await getPersonalizationContext();
 	const options = {
 		...body,
+		title: SwanShared.renderTemplate(body.title, context),
+		body: SwanShared.renderTemplate(body.body, context),
 	};
-	swRegistration.showNotification(options.title, options);
+	await swRegistration.showNotification(options.title, options);
 };
 
 /**
@@ -328,16 +807,33 @@ const identifyCredentials = (credentials) => {
 	else return null;
 };
 
+/**
+ * Gets the details of the user the on-site notifications are fetched for, stored in the cache by the page.
+ *
+ * @param {Cache} cache - The swan cache.
+ * @returns {Promise<{ credentials: string, appId: string }|null>} The details of the user, null when nobody is logged in.
+ */
+const getUserDetails = async (cache) => {
+	const request = await cache.match('/swanCredentials');
+	if (!request) return null;
+
+	// Convert the base64 string to a JSON object
+	const base64 = await request.text();
+	return base64ToJson(base64);
+};
+
 /**
  * Event listener for 'message' events on the service worker.
  * If the message type is 'logout', it closes the IndexedDB database.
+ * The fetch state goes with it, otherwise the server would answer the next login with a 304 and leave the emptied database empty.
+ *
+ * The worker is kept alive until both are done.
  *
  * @param {MessageEvent} event - The message event.
- * @returns {Promise<void>} A promise that resolves when the database has been closed.
  */
-self.addEventListener('message', async (event) => {
+self.addEventListener('message', (event) => {
 	if (event.data.type !== 'logout') return;
-	await IDBSwan.closeDB();
+	event.waitUntil(IDBSwan.closeDB().then(clearNotificationFetchState));
 });
 
 /**
@@ -350,36 +846,91 @@ const fetchNotification = async () => {
 	try {
 		// Open the cache and get the credentials
 		const cache = await caches.open('swan-cache');
-		const request = await cache.match('/swanCredentials');
-		if (!request) return;
-
-		// Convert the base64 string to a JSON object
-		const base64 = await request.text();
-		const userDetails = base64ToJson(base64);
+		const userDetails = await getUserDetails(cache);
+		if (!userDetails) return;
 
 		// Identify the type of credentials
 		const type = identifyCredentials(userDetails.credentials);
 		if (!type) return;
 
+		// Nothing is fetched again for a while, even if this fetch fails, so that the tabs loading together don't all fetch.
+		// The ETag of the last response is only kept for the user it was fetched for.
+		const state = await getNotificationFetchState(cache);
+		const isSameUser = state.credentials === userDetails.credentials;
+		await saveNotificationFetchState(cache, {
+			nextFetchAt: Date.now() + FAILED_FETCH_RETRY_INTERVAL,
+			etag: isSameUser ? state.etag : null,
+			credentials: userDetails.credentials,
+			conditionalRetryAt: state.conditionalRetryAt,
+		});
+
+		// The ETag of the last response is sent for a cheap revalidation, unless it was for another user.
+		// The endpoint is cross-origin: If-None-Match has to be in the Access-Control-Allow-Headers of its preflight,
+		// and ETag in its Access-Control-Expose-Headers, for the revalidation to happen.
+		const headers = {};
+		const conditionalRefused = state.conditionalRetryAt > Date.now();
+		if (state.etag && isSameUser && !conditionalRefused) {
+			headers['If-None-Match'] = state.etag;
+		}
+
 		// Define the query parameters for the fetch request
 		const query = { appId: 'swan-test_51793', [type]: userDetails.credentials };
-		const response = await fetchFromSwan(onSiteNotificationsEndpoint, query);
-		if (!response) return;
+		// A failed preflight looks like a network error, so a conditional request failing with one is sent again without the header.
+		// When that one goes through, the server doesn't allow If-None-Match and it is left out for a while.
+		let fetchResponse;
+		let conditionalRetryAt = conditionalRefused
+			? state.conditionalRetryAt
+			: null;
+		try {
+			fetchResponse = await fetchFromSwan(
+				onSiteNotificationsEndpoint,
+				query,
+				headers
+			);
+		} catch (error) {
+			if (!(error instanceof TypeError) || !headers['If-None-Match'])
+				throw error;
+			fetchResponse = await fetchFromSwan(onSiteNotificationsEndpoint, query);
+			conditionalRetryAt = Date.now() + CONDITIONAL_RETRY_INTERVAL;
+		}
+		if (!fetchResponse) return;
 
-		// For each notification in the response, add it to the object store
-		response.notifications.forEach(async (notification) => {
-			await IDBSwan.upsertData(notification);
+		// Nothing has changed since the last fetch, the stored notifications are left as they are.
+		if (fetchResponse.status === 304) {
+			await saveNotificationFetchState(cache, {
+				...state,
+				nextFetchAt: Date.now() + getRefreshInterval(fetchResponse),
+			});
+			return;
+		}
 
-			// Sending an ACK (acknowledgement) to the swan server
+		const response = await fetchResponse.json();
+		await saveNotificationFetchState(cache, {
+			nextFetchAt: Date.now() + getRefreshInterval(fetchResponse, response),
+			etag: fetchResponse.headers.get('ETag'),
+			credentials: userDetails.credentials,
+			conditionalRetryAt,
+		});
 
-			const body = {
-				CDID: notification.CDID,
-				commId: notification.commId,
-				event: 'delivered',
-			};
+		// For each notification in the response, add it to the object store
+		// A notification already stored keeps what the service worker stored, e.g. the display count.
+		// They are awaited, so that the worker is kept alive by the waitUntil of the message until they are all stored and acknowledged.
+		await Promise.all(
+			response.notifications.map(async (notification) => {
+				const stored = await IDBSwan.getRecord(notification.commId);
+				await IDBSwan.upsertData({ ...stored, ...notification });
+
+				// Sending an ACK (acknowledgement) to the swan server
+
+				const body = {
+					CDID: notification.CDID,
+					commId: notification.commId,
+					event: 'delivered',
+				};
 
-			await sendToSwan(onSiteAckEndpoint, body);
-		});
+				await sendToSwan(onSiteAckEndpoint, body);
+			})
+		);
 
 		console.log('Notification response:', response);
 	} catch (error) {
@@ -388,14 +939,206 @@ const fetchNotification = async () => {
 };
 
 /**
- * Compares two URLs excluding query parameters and fragments.
+ * Refreshes the on-site notifications stored in IndexedDB, when the server pushes a change.
+ * Without a delta, or with true, the notifications are fetched again right away, whatever the refresh interval.
+ * A delta adds, updates or revokes notifications by commId, without a round trip to the server.
+ *
+ * @param {(boolean|{ add: Array<Object>, update: Array<Object>, revoke: Array<string> })} delta - The change.
+ * @returns {Promise<void>} A promise that resolves when the notifications have been refreshed.
+ */
+const syncOnSiteNotifications = async (delta) => {
+	if (!delta || delta === true) {
+		await fetchNotification();
+		return;
+	}
+
+	const { add = [], update = [], revoke = [] } = delta;
+	try {
+		await Promise.all(
+			add.map(async (notification) => {
+				await IDBSwan.upsertData(notification);
+				await sendToSwan(onSiteAckEndpoint, {
+					CDID: notification.CDID,
+					commId: notification.commId,
+					event: 'delivered',
+				});
+			})
+		);
+
+		// An update keeps what the service worker stored, e.g. the display count.
+		await Promise.all(
+			update.map(async (notification) => {
+				const stored = await IDBSwan.getRecord(notification.commId);
+				await IDBSwan.upsertData({ ...stored, ...notification });
+			})
+		);
+
+		await Promise.all(revoke.map((commId) => IDBSwan.deleteRecord(commId)));
+
+		// The stored notifications don't match the ETag of the last response anymore, the next fetch gets the whole list.
+		const cache = await caches.open('swan-cache');
+		const state = await getNotificationFetchState(cache);
+		await saveNotificationFetchState(cache, { ...state, etag: null });
+	} catch (error) {
+		console.error('Error syncing on-site notifications:', error);
+	}
+	if (!revoke.length) return;
+
+	// The revoked notifications waiting to be shown are dropped, in the service worker and in the tabs.
+	if (
+		PendingDeliverySwan.notification &&
+		revoke.includes(PendingDeliverySwan.notification.commId)
+	) {
+		PendingDeliverySwan.notification = null;
+	}
+	const clients = await self.clients.matchAll({ type: 'window' });
+	clients.forEach((client) => {
+		client.postMessage({
+			purpose: 'revoke-on-site-notification',
+			commIds: revoke,
+		});
+	});
+};
+
+/**
+ * Handles a data-only 'onsite-sync' push.
+ * Pushes are subscribed with userVisibleOnly, so the browser expects a notification for each of them, and shows its own
+ * generic one when the site is not in front of the user and nothing is shown. The push has to carry the notification
+ * shown in that case, in the format of the visible pushes, the server can also piggyback the sync on a visible push with onsiteSync.
  *
- * @param {string} url1 - The first URL to compare.
- * @param {string} url2 - The second URL to compare.
- * @returns {boolean} - Returns true if the protocol, hostname, and pathname of both URLs are the same, otherwise false.
+ * @param {{ delta: Object, notification: Object }} pushData - The data of the push.
+ * @returns {Promise<void>} A promise that resolves when the on-site notifications have been refreshed.
  */
-const getNotification = async (notifications, url) => {
-	// Filter Notifications based on Expires at, Display Limit and Display In URL
+const handleOnSiteSyncPush = async (pushData) => {
+	await syncOnSiteNotifications(pushData.delta);
+
+	const clients = await self.clients.matchAll({ type: 'window' });
+	if (
+		clients.some(
+			(client) => client.focused || client.visibilityState === 'visible'
+		)
+	) {
+		return;
+	}
+	if (!pushData.notification) {
+		console.error(
+			'Data-only push without a notification received while the site is not visible, the browser shows a generic one'
+		);
+		return;
+	}
+	await showLocalNotification(pushData.notification, self.registration);
+};
+
+/**
+ * Posts an on-site notification to a tab, to be shown there.
+ *
+ * @param {Client} client - The tab.
+ * @param {Object} notification - The notification.
+ */
+const postNotification = (client, notification) => {
+	client.postMessage({
+		purpose: 'show-on-site-notification',
+		data: notification,
+	});
+};
+
+/**
+ * Picks the tab an on-site notification is shown in: the requesting tab when it is visible,
+ * otherwise the focused tab, or any visible one, that the notification targets.
+ *
+ * @param {Client} source - The tab that asked for the notification.
+ * @param {Object} notification - The notification.
+ * @returns {Promise<WindowClient|null>} The tab, null when the user is looking at none of them.
+ */
+const getDeliveryClient = async (source, notification) => {
+	if (source && source.visibilityState === 'visible') return source;
+
+	const clients = await self.clients.matchAll({ type: 'window' });
+	const visibleClients = clients.filter(
+		(client) =>
+			client.visibilityState === 'visible' &&
+			SwanShared.matchesDisplayIn(notification.displayIn, client.url)
+	);
+	return (
+		visibleClients.find((client) => client.focused) || visibleClients[0] || null
+	);
+};
+
+/**
+ * Object holding the on-site notification that waits for the user to look at one of the tabs, when the page asked to follow the user.
+ * It only lives in the memory of the service worker, the notification is dropped when the worker stops or once it is too old.
+ *
+ * @namespace PendingDeliverySwan
+ */
+const PendingDeliverySwan = {
+	notification: null,
+	heldAt: 0,
+	maxAge: 30 * 60 * 1000,
+
+	/**
+	 * Keeps a notification until a tab it targets becomes visible, in place of the one kept before.
+	 *
+	 * @param {Object} notification - The notification.
+	 */
+	hold(notification) {
+		this.notification = notification;
+		this.heldAt = Date.now();
+	},
+
+	/**
+	 * Takes the waiting notification for the tab that became visible.
+	 *
+	 * @param {string} url - The url of the tab.
+	 * @returns {Object|null} The notification, null when none is waiting, it is too old, or it doesn't target the url.
+	 */
+	take(url) {
+		if (!this.notification) return null;
+		if (Date.now() - this.heldAt > this.maxAge) {
+			this.notification = null;
+			return null;
+		}
+		if (!SwanShared.matchesDisplayIn(this.notification.displayIn, url)) {
+			return null;
+		}
+		const { notification } = this;
+		this.notification = null;
+		return notification;
+	},
+};
+
+/**
+ * Chooses the on-site notification to show on the given url.
+ * The global frequency cap of the site is checked first, then the notifications are filtered by expiry, display limit, their own frequency cap, url and audience,
+ * so that a notification for another audience neither counts as displayed nor keeps the others from being chosen.
+ *
+ * @param {Array<Object>} notifications - The stored notifications.
+ * @param {string} url - The url of the page.
+ * @param {string} sessionId - The id of the session of the page.
+ * @param {{ maxPerSession: number, maxPerDay: number, minInterval: number }} frequencyCap - The caps across all the notifications, minInterval is in seconds.
+ * @param {Object} audienceContext - The context of the visitor the audience rules are checked against.
+ * @returns {Promise<Object|undefined>} The notification to show, if any.
+ */
+const getNotification = async (
+	notifications,
+	url,
+	sessionId,
+	frequencyCap,
+	audienceContext
+) => {
+	const displays = await DisplayHistorySwan.getAll();
+
+	// No notification at all once the global caps are reached, or too soon after the last one.
+	if (isFrequencyCapReached(frequencyCap, displays, sessionId)) return;
+	const lastDisplay = displays[displays.length - 1];
+	if (
+		frequencyCap?.minInterval &&
+		lastDisplay &&
+		Date.now() - lastDisplay.shownAt < frequencyCap.minInterval * 1000
+	) {
+		return;
+	}
+
+	// Filter Notifications based on Expires at, Display Limit, Frequency Cap, Display In URL and Audience
 	const filteredNotifications = notifications?.filter((notification) => {
 		if (new Date(notification?.expiresAt) < Date?.now()) {
 			IDBSwan.deleteRecord(notification?.commId);
@@ -409,41 +1152,42 @@ const getNotification = async (notifications, url) => {
 			}
 		}
 
+		const campaignDisplays = displays.filter(
+			(display) => display.commId === notification?.commId
+		);
 		if (
-			notification?.displayIn &&
-			notification?.displayIn !== 'all' &&
-			!url.includes(notification?.displayIn)
-		)
+			isFrequencyCapReached(
+				notification?.frequencyCap,
+				campaignDisplays,
+				sessionId
+			)
+		) {
 			return false;
-		return true;
+		}
+
+		if (!SwanShared.matchesDisplayIn(notification?.displayIn, url)) {
+			return false;
+		}
+		return SwanShared.matchesAudience(notification?.audience, audienceContext);
 	});
 
 	// Select Random Notification from Array
 	const randomIndex = Math.floor(Math.random() * filteredNotifications.length);
-	const notification = filteredNotifications[randomIndex];
-
-	// Update Display Count if Display Limit is present while displaying the notification
-	if (notification?.displayLimit) {
-		notification.displayCount = notification.displayCount
-			? notification.displayCount + 1
-			: 1;
-		await IDBSwan.upsertData(notification);
-	}
-	return notification;
+	// The display count is only updated once the page acknowledges the notification as showed,
+	// a notification that is never rendered, e.g. its trigger doesn't fire, doesn't use up its display limit.
+	return filteredNotifications[randomIndex];
 };
 
-// Add an event listener for the 'message' event on the service worker.
-// The 'message' event is fired when a message is received from the main thread.
-self.addEventListener('message', async (event) => {
-	// This is the callback function that gets executed when the 'message' event is fired.
-
-	// Destructure the 'purpose' and 'url' properties from the received message.
-	const { purpose, url } = event.data;
-
-	// If the 'purpose' is not 'fetch-notification-from-indexed-db', return early.
-	if (purpose !== 'fetch-notification-from-indexed-db') {
-		return;
-	}
+/**
+ * Picks the notification for the page that asked for one, and delivers it to the tab the user is looking at.
+ *
+ * @param {MessageEvent} event - The 'fetch-notification-from-indexed-db' message of the page.
+ * @returns {Promise<void>} A promise that resolves when the notification has been delivered or held.
+ */
+const deliverStoredNotification = async (event) => {
+	// Destructure the 'url', 'sessionId', 'frequencyCap', 'followUser' and 'audienceContext' properties from the received message.
+	const { url, sessionId, frequencyCap, followUser, audienceContext } =
+		event.data;
 
 	// Fetch all records from the IndexedDB.
 	const notifications = await IDBSwan.getAllRecordsFromDB();
@@ -455,94 +1199,116 @@ self.addEventListener('message', async (event) => {
 	console.log('notifications', notifications);
 
 	// Get the notification that matches the provided URL.
-	const notification = await getNotification(notifications, url);
+	const notification = await getNotification(
+		notifications,
+		url,
+		sessionId,
+		frequencyCap,
+		audienceContext
+	);
 
 	// If no matching notification is found, return early.
+	// The page acknowledges it as showed once it is rendered, and as viewed once it has been seen.
 	if (!notification) return;
 
-	// Prepare the body for the acknowledgement request to the swan server.
-	const body = {
-		CDID: notification.CDID,
-		commId: notification.commId,
-		event: 'showed',
-	};
+	// The display is recorded for the session the notification was chosen for, the page sends it back with its 'showed' ACK.
+	const delivery = { ...notification, sessionId };
 
-	// Send an acknowledgement to the swan server.
-	await sendToSwan(onSiteAckEndpoint, body);
+	// The notification is shown in one tab only, the one the user is looking at.
+	const client = await getDeliveryClient(event.source, delivery);
+	if (client) {
+		postNotification(client, delivery);
+		return;
+	}
 
-	// Get all clients controlled by the service worker.
-	self.clients.matchAll().then((clients) => {
-		// For each client, post a message with the purpose 'show-on-site-notification' and the notification data.
-		clients.forEach((client) => {
-			client.postMessage({
-				purpose: 'show-on-site-notification',
-				data: notification,
-			});
-		});
-	});
-});
+	// No tab is visible: the notification either waits for the next tab the user looks at,
+	// or goes to the requesting tab, which shows it when the user comes back to it.
+	if (followUser) {
+		PendingDeliverySwan.hold(delivery);
+	} else if (event.source) {
+		postNotification(event.source, delivery);
+	}
+};
 
 // Add an event listener for the 'message' event on the service worker.
 // The 'message' event is fired when a message is received from the main thread.
-self.addEventListener('message', async (event) => {
-	// This is the callback function that gets executed when the 'message' event is fired.
-
-	// Destructure the 'purpose' and 'url' properties from the received message.
-	const { purpose, url } = event.data;
-
-	// If the 'purpose' is not 'fetch-notification-from-api', return early.
-	if (purpose !== 'fetch-notification-from-api') {
+// The worker is kept alive until the notification has been delivered.
+self.addEventListener('message', (event) => {
+	// If the 'purpose' is not 'fetch-notification-from-indexed-db', return early.
+	if (event.data.purpose !== 'fetch-notification-from-indexed-db') {
 		return;
 	}
+	event.waitUntil(deliverStoredNotification(event));
+});
 
-	// Open the cache named 'swan-cache'.
-	const cache = await caches.open('swan-cache');
-
-	// Try to match a request in the cache for '/lastNotificationFetchTime'.
-	const request = await cache.match('/lastNotificationFetchTime');
+// Add an event listener for the 'message' event on the service worker.
+// The page posts 'page-visible' when it becomes visible, it gets the notification waiting for the user if it targets the page.
+self.addEventListener('message', (event) => {
+	if (event.data.purpose !== 'page-visible' || !event.source) return;
 
-	// Initialize a variable to hold the last notification fetch time.
-	let lastNotificationFetchTime = null;
+	const notification = PendingDeliverySwan.take(event.source.url);
+	if (notification) postNotification(event.source, notification);
+});
 
-	// If no matching request is found in the cache, put a new request in the cache with the current date as the response.
-	// Otherwise, get the response text of the matching request (which is the last notification fetch time), and convert it to a Date object.
-	if (!request) {
-		await cache.put('/lastNotificationFetchTime', new Response(new Date()));
-	} else {
-		lastNotificationFetchTime = await request.text();
-		lastNotificationFetchTime = new Date(lastNotificationFetchTime);
-	}
+/**
+ * Fetches the notifications from Swan for the page that asked for them, unless they are still fresh.
+ *
+ * @param {string} url - The url of the page.
+ * @returns {Promise<void>} A promise that resolves when the notifications have been fetched, or are fresh.
+ */
+const refreshNotifications = async (url) => {
+	// Open the cache named 'swan-cache'.
+	const cache = await caches.open('swan-cache');
 
-	// Get the current date and time.
-	const currentTime = new Date();
+	// The notifications are fetched again once the refresh interval given by the server is over,
+	// or right away when they were fetched for another user.
+	const { nextFetchAt, credentials } = await getNotificationFetchState(cache);
+	const userDetails = await getUserDetails(cache);
+	const isSameUser = !userDetails || userDetails.credentials === credentials;
 
 	// Check if the URL includes 'swanOnSiteNotificationTest=1'.
 	const isOnsiteTest = url.includes('swanOnSiteNotificationTest=1');
 
-	// If 'isOnsiteTest' is false, and 'lastNotificationFetchTime' is not null, and the difference between 'currentTime' and 'lastNotificationFetchTime' is less than 1 hour, return early.
+	// If 'isOnsiteTest' is false, the user is the same, and the refresh interval is not over yet, return early.
 	// Otherwise, fetch the notification.
-	if (
-		!isOnsiteTest &&
-		lastNotificationFetchTime &&
-		currentTime - lastNotificationFetchTime < 60 * 60 * 1000
-	) {
+	if (!isOnsiteTest && isSameUser && Date.now() < nextFetchAt) {
 		return;
 	}
 	await fetchNotification();
-});
+};
 
 // Add an event listener for the 'message' event on the service worker.
 // The 'message' event is fired when a message is received from the main thread.
-self.addEventListener('message', async (event) => {
-	// This is the callback function that gets executed when the 'message' event is fired.
-
-	// Destructure the 'purpose', 'commId', 'CDID', and 'event' properties from the received message.
-	const { purpose, commId, CDID, event: action } = event.data;
-
-	// If the 'purpose' is not 'send-ack-to-api', return early.
-	if (purpose !== 'send-ack-to-api') {
+// The worker is kept alive until the fetch is done.
+self.addEventListener('message', (event) => {
+	// If the 'purpose' is not 'fetch-notification-from-api', return early.
+	if (event.data.purpose !== 'fetch-notification-from-api') {
 		return;
 	}
+	event.waitUntil(refreshNotifications(event.data.url));
+});
+
+/**
+ * Records an on-site notification event of the page and acknowledges it to Swan.
+ *
+ * @param {{ commId: string, CDID: string, event: string, sessionId: string }} data - The 'send-ack-to-api' message of the page.
+ * @returns {Promise<void>} A promise that resolves when the acknowledgement has been sent.
+ */
+const sendOnSiteAck = async (data) => {
+	// Destructure the 'commId', 'CDID', 'event' and 'sessionId' properties from the received message.
+	const { commId, CDID, event: action, sessionId } = data;
+
+	// Recording the notifications that are actually shown, for the frequency caps and the display limits.
+	if (action === 'showed') {
+		await DisplayHistorySwan.add({
+			commId,
+			sessionId,
+			shownAt: Date.now(),
+		}).catch((error) => console.error('Error recording the display:', error));
+		await IDBSwan.incrementDisplayCount(commId).catch((error) =>
+			console.error('Error counting the display:', error)
+		);
+	}
 
 	// Prepare the body for the acknowledgement request to the swan server.
 	const body = {
@@ -553,4 +1319,15 @@ self.addEventListener('message', async (event) => {
 
 	// Send an acknowledgement to the swan server.
 	await sendToSwan(onSiteAckEndpoint, body);
+};
+
+// Add an event listener for the 'message' event on the service worker.
+// The 'message' event is fired when a message is received from the main thread.
+// The worker is kept alive until the acknowledgement has been sent.
+self.addEventListener('message', (event) => {
+	// If the 'purpose' is not 'send-ack-to-api', return early.
+	if (event.data.purpose !== 'send-ack-to-api') {
+		return;
+	}
+	event.waitUntil(sendOnSiteAck(event.data));
 });
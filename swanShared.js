@@ -0,0 +1,315 @@
+/**
+ * The targeting rules, the audience rules and the personalization tokens of the on-site notifications,
+ * shared by tracking.js and serviceWorker.js so that the page and the service worker always take the same decisions.
+ * The service worker loads it with importScripts. The page gets it in front of tracking.js:
+ * the endpoint serving the SDK prepends it, and index.html loads it with a script tag before tracking.js.
+ *
+ * @namespace SwanShared
+ */
+const SwanShared = {
+	// longest targeting pattern accepted from the server, longer ones never match
+	maxPatternLength: 200,
+
+	/**
+	 * Compiles a targeting regex coming from the server.
+	 * Patterns that are too long, or that repeat a group with a quantifier inside, e.g. (a+)+, are rejected,
+	 * as they can take exponential time on some urls.
+	 *
+	 * @param {string} pattern - The pattern.
+	 * @returns {RegExp|null} The regular expression, null when the pattern is rejected.
+	 */
+	compileRegex(pattern) {
+		if (typeof pattern !== 'string' || pattern.length > this.maxPatternLength) {
+			console.error('Targeting regex too long:', pattern);
+			return null;
+		}
+		if (/\((?:\\.|[^()\\])*[*+{](?:\\.|[^()\\])*\)[*+{]/.test(pattern)) {
+			console.error('Unsafe targeting regex:', pattern);
+			return null;
+		}
+		try {
+			return new RegExp(pattern);
+		} catch (error) {
+			console.error('Invalid targeting regex:', pattern);
+			return null;
+		}
+	},
+
+	/**
+	 * Turns a glob on the path of a url into a regular expression.
+	 * '*' matches within a segment of the path, '**' across segments.
+	 *
+	 * @param {string} glob - The glob, e.g. '/products/*' or '/blog/**'.
+	 * @returns {RegExp|null} The regular expression, null when the glob is too long.
+	 */
+	globToRegExp(glob) {
+		if (glob.length > this.maxPatternLength) {
+			console.error('Targeting glob too long:', glob);
+			return null;
+		}
+		const pattern = glob
+			.split('**')
+			.map((part) =>
+				part
+					.split('*')
+					.map((text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+					.join('[^/]*')
+			)
+			.join('.*');
+		return new RegExp(`^${pattern}$`);
+	},
+
+	/**
+	 * Checks whether a path starts with a prefix on a segment boundary: '/sale' matches '/sale' and '/sale/shoes', not '/salesforce'.
+	 *
+	 * @param {string} prefix - The prefix.
+	 * @param {string} pathname - The path of the url.
+	 * @returns {boolean}
+	 */
+	isPathPrefix(prefix, pathname) {
+		if (!pathname.startsWith(prefix)) return false;
+		return (
+			prefix.endsWith('/') ||
+			pathname.length === prefix.length ||
+			pathname[prefix.length] === '/'
+		);
+	},
+
+	/**
+	 * Looks up a text in a url as whole segments: 'sale' matches '/sale', '/shoes/sale.html' and '?tag=sale', not '/wholesale'.
+	 *
+	 * @param {string} href - The url.
+	 * @param {string} text - The text to look up.
+	 * @returns {boolean}
+	 */
+	containsSegment(href, text) {
+		const isBoundary = (character) =>
+			character === undefined || '/?#&=.'.includes(character);
+		let index = href.indexOf(text);
+		while (index !== -1) {
+			const startsSegment = isBoundary(href[index - 1]) || isBoundary(text[0]);
+			const endsSegment =
+				isBoundary(href[index + text.length]) ||
+				isBoundary(text[text.length - 1]);
+			if (startsSegment && endsSegment) return true;
+			index = href.indexOf(text, index + 1);
+		}
+		return false;
+	},
+
+	/**
+	 * Checks the path of a url against a targeting rule.
+	 *
+	 * @param {{ type: ('exact'|'prefix'|'glob'|'regex'), value: string }} rule - The rule, a prefix when type is missing.
+	 * @param {string} pathname - The path of the url.
+	 * @returns {boolean}
+	 */
+	matchesPath(rule, pathname) {
+		if (rule.value === undefined) return true;
+		switch (rule.type || 'prefix') {
+			case 'exact':
+				return pathname === rule.value;
+			case 'prefix':
+				return this.isPathPrefix(rule.value, pathname);
+			case 'glob': {
+				const regex = this.globToRegExp(rule.value);
+				return Boolean(regex) && regex.test(pathname);
+			}
+			case 'regex': {
+				const regex = this.compileRegex(rule.value);
+				return Boolean(regex) && regex.test(pathname);
+			}
+			default:
+				console.error('Unknown targeting rule type:', rule.type);
+				return false;
+		}
+	},
+
+	/**
+	 * Checks the query parameters of a url against the conditions of a targeting rule, all of them have to hold.
+	 * A condition is either the expected value, or { equals }, { exists } or { regex }.
+	 *
+	 * @param {Object<string, (string|{ equals: string, exists: boolean, regex: string })>} query - The conditions, by parameter name.
+	 * @param {URLSearchParams} searchParams - The query parameters of the url.
+	 * @returns {boolean}
+	 */
+	matchesQuery(query, searchParams) {
+		return Object.keys(query).every((name) => {
+			const condition =
+				typeof query[name] === 'object' ? query[name] : { equals: query[name] };
+			const value = searchParams.get(name);
+			if (condition.exists !== undefined) {
+				return (value !== null) === Boolean(condition.exists);
+			}
+			if (value === null) return false;
+			if (condition.regex !== undefined) {
+				const regex = this.compileRegex(condition.regex);
+				return Boolean(regex) && regex.test(value);
+			}
+			return value === `${condition.equals}`;
+		});
+	},
+
+	/**
+	 * Checks a url against one targeting rule: its host, path and query conditions all have to match.
+	 *
+	 * @param {{ host: string, type: string, value: string, query: Object }} rule - The rule.
+	 * @param {URL} url - The url.
+	 * @returns {boolean}
+	 */
+	matchesRule(rule, url) {
+		if (rule.host && rule.host !== url.host) return false;
+		if (!this.matchesPath(rule, url.pathname)) return false;
+		return !rule.query || this.matchesQuery(rule.query, url.searchParams);
+	},
+
+	/**
+	 * Checks whether a notification targets the given url.
+	 * displayIn is either 'all', a legacy string, or { include, exclude }: lists of rules, the url has to match one of
+	 * the include rules, all urls when there are none, and none of the exclude rules.
+	 * A legacy string starting with '/' is a prefix of the path, a full url a prefix of the path on its host,
+	 * anything else is looked up in the whole url, always on segment boundaries.
+	 *
+	 * @param {(string|{ include: Array<Object>, exclude: Array<Object> })} displayIn - The targeting of the notification.
+	 * @param {string} href - The url of the page.
+	 * @returns {boolean}
+	 */
+	matchesDisplayIn(displayIn, href) {
+		if (!displayIn || displayIn === 'all') return true;
+
+		let url;
+		try {
+			url = new URL(href);
+		} catch (error) {
+			return false;
+		}
+
+		if (typeof displayIn === 'string') {
+			if (displayIn.startsWith('/')) {
+				return this.isPathPrefix(displayIn, url.pathname);
+			}
+			try {
+				const target = new URL(displayIn);
+				return (
+					target.host === url.host &&
+					this.isPathPrefix(target.pathname, url.pathname)
+				);
+			} catch (error) {
+				return this.containsSegment(href, displayIn);
+			}
+		}
+
+		const { include = [], exclude = [] } = displayIn;
+		const included =
+			!include.length || include.some((rule) => this.matchesRule(rule, url));
+		return included && !exclude.some((rule) => this.matchesRule(rule, url));
+	},
+
+	/**
+	 * Checks a number against a { min, max } range, either bound can be left out.
+	 *
+	 * @param {number} value - The number to check.
+	 * @param {{ min: number, max: number }} range - The range.
+	 * @returns {boolean}
+	 */
+	isInRange(value, { min, max }) {
+		return (
+			(min === undefined || value >= min) && (max === undefined || value <= max)
+		);
+	},
+
+	/**
+	 * The audience rules an on-site notification can be targeted with, checked against the context of the visitor sent by the page.
+	 * Each one gets the expected value from the campaign and the context, and tells whether the visitor matches.
+	 */
+	audienceRules: {
+		// 'mobile' or 'desktop'
+		device: (device, context) =>
+			device === (context.isMobile ? 'mobile' : 'desktop'),
+		// one of the values of getOsModel, or a list of them
+		os: (os, context) => [].concat(os).includes(context.os),
+		// one of the values of getDeviceBrand, or a list of them
+		deviceBrand: (brand, context) =>
+			[].concat(brand).includes(context.deviceBrand),
+		loggedIn: (loggedIn, context) => Boolean(loggedIn) === context.loggedIn,
+		// { items: { min, max }, value: { min, max }, productIds: [...] }, productIds matching when any of them is in the cart
+		cart: ({ items, value, productIds }, context) =>
+			(!items || SwanShared.isInRange(context.cart.length, items)) &&
+			(!value || SwanShared.isInRange(context.cartValue, value)) &&
+			(!productIds ||
+				context.cart.some((item) => productIds.includes(item.productId))),
+		// { items: { min, max } }
+		wishlist: ({ items }, context) =>
+			!items || SwanShared.isInRange(context.wishlist.length, items),
+		// 'new' or 'returning'
+		visitor: (visitor, context) =>
+			visitor === (context.isReturning ? 'returning' : 'new'),
+	},
+
+	/**
+	 * Checks whether a visitor is in the audience of an on-site notification.
+	 * All the rules of the audience have to match, a notification without an audience is shown to everyone.
+	 *
+	 * @param {Object} audience - The audience rules of the notification, by name.
+	 * @param {Object} context - The context of the visitor, collected by the page.
+	 * @returns {boolean}
+	 */
+	matchesAudience(audience, context) {
+		if (!audience) return true;
+		// Without the context of the visitor nobody is known to be in the audience.
+		if (!context) return false;
+		return Object.keys(audience).every((name) => {
+			if (!this.audienceRules[name]) {
+				console.log('Unknown on-site audience rule:', name);
+				return false;
+			}
+			return this.audienceRules[name](audience[name], context);
+		});
+	},
+
+	/**
+	 * Looks up a dotted path in an object, e.g. 'lastViewedProduct.productName'.
+	 *
+	 * @param {Object} object - The object to look in.
+	 * @param {string} path - The path of the value.
+	 * @returns {*} The value, undefined when a part of the path is missing.
+	 */
+	getPath(object, path) {
+		return path
+			.split('.')
+			.reduce(
+				(value, key) =>
+					value === undefined || value === null ? undefined : value[key],
+				object
+			);
+	},
+
+	/**
+	 * Replaces the personalization tokens of a text with values from the context.
+	 * A token is {{path}} or {{path|fallback}}, e.g. {{firstName|there}} or {{lastViewedProduct.productName}},
+	 * the fallback being used when the value is missing or empty, and nothing when there is no fallback.
+	 *
+	 * @param {string} text - The text with the tokens.
+	 * @param {Object} context - The values the tokens are resolved from.
+	 * @param {(value: string) => string} [escape] - Applied to the resolved values, e.g. to escape them for html.
+	 * @returns {string} The personalized text.
+	 */
+	renderTemplate(text, context, escape = (value) => value) {
+		if (typeof text !== 'string' || !text.includes('{{')) return text;
+		return text.replace(
+			/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g,
+			(token, path, fallback = '') => {
+				const value = this.getPath(context || {}, path);
+				if (
+					value === undefined ||
+					value === null ||
+					value === '' ||
+					typeof value === 'object'
+				) {
+					return fallback.trim();
+				}
+				return escape(`${value}`);
+			}
+		);
+	},
+};
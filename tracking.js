@@ -12,6 +12,410 @@ const sendToSwan = (url, data) => {
 	xhr.send(JSON.stringify(data));
 };
 
+/**
+ * Sends the data to swan and resolves with the HTTP status of the response.
+ * Unlike sendToSwan, the caller can tell whether the server accepted the data.
+ *
+ * @param {string} url - The URL to send the data to.
+ * @param {Object} data - The data to be sent.
+ * @returns {Promise<number>} The response status, or 0 when the request did not reach the server.
+ */
+const postToSwan = (url, data) =>
+	new Promise((resolve) => {
+		const xhr = new XMLHttpRequest();
+		xhr.open('POST', url, true);
+		xhr.setRequestHeader('Content-Type', 'application/json');
+		xhr.onload = () => resolve(xhr.status);
+		xhr.onerror = () => resolve(0);
+		xhr.ontimeout = () => resolve(0);
+		xhr.send(JSON.stringify(data));
+	});
+
+/**
+ * Generates a random identifier, used to de-duplicate events that are retried.
+ *
+ * @returns {string} A version 4 UUID.
+ */
+const generateId = () => {
+	if (window.crypto && window.crypto.randomUUID) {
+		return window.crypto.randomUUID();
+	}
+	return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+		const random = Math.floor(Math.random() * 16);
+		const value = char === 'x' ? random : (random % 4) + 8;
+		return value.toString(16);
+	});
+};
+
+/**
+ * Object for managing the IndexedDB queue of ecom events waiting to be sent.
+ * Events stay in the queue until the server accepts them, so they survive network failures and page unloads.
+ * Each event is sent on its own to the ecom event endpoint as soon as it is queued, unless batchUrl is set:
+ * then they are sent together, once batchSize events are waiting or batchInterval has passed since the first one.
+ *
+ * @namespace EventQueueSwan
+ */
+const EventQueueSwan = {
+	dbInstance: null,
+	dbName: 'swan-event-db',
+	storeName: 'pending-events',
+	// The batch endpoint of the server, null sends the events one by one
+	batchUrl: null,
+	batchSize: 20,
+	batchInterval: 5000,
+	// sendBeacon rejects payloads above ~64KB, so larger buffers are split
+	maxBeaconSize: 60 * 1024,
+	// Events of this page that the server has not accepted yet, keyed by eventId
+	buffer: new Map(),
+	// The eventIds of the events the running flush is sending, the beacon leaves them to it
+	inFlight: new Set(),
+	// Retry delays grow exponentially from baseRetryDelay up to maxRetryDelay
+	baseRetryDelay: 1000,
+	maxRetryDelay: 5 * 60 * 1000,
+	// Events older than this are dropped instead of being retried forever
+	maxEventAge: 7 * 24 * 60 * 60 * 1000,
+	retryTimer: null,
+	flushing: false,
+	flushRequested: false,
+
+	/**
+	 * Gets the current database instance, or creates a new one if it doesn't exist.
+	 *
+	 * @returns {Promise<IDBDatabase>} The database instance.
+	 */
+	async getDB() {
+		if (this.dbInstance) return this.dbInstance;
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(this.dbName, 1);
+			request.onerror = () => reject(request.error);
+			// Creating the object store for the pending events
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				if (!db.objectStoreNames.contains(this.storeName)) {
+					db.createObjectStore(this.storeName, { keyPath: 'eventId' });
+				}
+			};
+
+			request.onsuccess = () => {
+				this.dbInstance = request.result;
+				resolve(request.result);
+			};
+		});
+	},
+
+	/**
+	 * Adds or updates a queued event.
+	 *
+	 * @param {Object} record - The queued event.
+	 * @returns {Promise<void>} A promise that resolves when the record has been stored.
+	 */
+	async upsertRecord(record) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		tx.objectStore(this.storeName).put(record);
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	/**
+	 * Get all queued events, oldest first.
+	 *
+	 * @returns {Promise<Object[]>} A promise that resolves with the queued events.
+	 */
+	async getAllRecords() {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readonly');
+		const result = tx.objectStore(this.storeName).getAll();
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () =>
+				resolve(result.result.sort((a, b) => a.createdAt - b.createdAt));
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	/**
+	 * Delete a queued event based on its eventId.
+	 *
+	 * @param {string} eventId - The id of the event to delete.
+	 * @returns {Promise<void>} A promise that resolves when the record has been deleted.
+	 */
+	async deleteRecord(eventId) {
+		const db = await this.getDB();
+		const tx = db.transaction([this.storeName], 'readwrite');
+		tx.objectStore(this.storeName).delete(eventId);
+
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+		});
+	},
+
+	/**
+	 * Gets the delay before the next attempt, with some jitter so that tabs don't retry in lockstep.
+	 *
+	 * @param {number} attempts - The number of failed attempts so far.
+	 * @returns {number} The delay in milliseconds.
+	 */
+	getRetryDelay(attempts) {
+		const delay = Math.min(
+			this.baseRetryDelay * 2 ** attempts,
+			this.maxRetryDelay
+		);
+		return delay / 2 + Math.random() * (delay / 2);
+	},
+
+	/**
+	 * Checks whether a failed request is worth retrying.
+	 * Network errors, timeouts, throttling and server errors are retried, other client errors are not.
+	 *
+	 * @param {number} status - The response status returned by postToSwan.
+	 * @returns {boolean}
+	 */
+	isRetryable(status) {
+		return status === 0 || status === 408 || status === 429 || status >= 500;
+	},
+
+	/**
+	 * Schedules a flush of the queue after the given delay, keeping the earliest one if a flush is already scheduled.
+	 *
+	 * @param {number} delay - The delay in milliseconds.
+	 */
+	scheduleFlush(delay) {
+		const flushAt = Date.now() + delay;
+		if (this.retryTimer && this.retryTimer.flushAt <= flushAt) return;
+		if (this.retryTimer) clearTimeout(this.retryTimer.id);
+		this.retryTimer = {
+			flushAt,
+			id: setTimeout(() => {
+				this.retryTimer = null;
+				this.flush();
+			}, Math.max(delay, 0)),
+		};
+	},
+
+	/**
+	 * Removes events from the queue and the in-memory buffer once they are delivered or dropped.
+	 *
+	 * @param {Object[]} records - The queued events to remove.
+	 * @returns {Promise<void>}
+	 */
+	async removeRecords(records) {
+		records.forEach((record) => this.buffer.delete(record.eventId));
+		// Without IndexedDB the events only live in the buffer, so a failed delete doesn't stop the flush
+		await Promise.all(
+			records.map((record) => this.deleteRecord(record.eventId).catch(() => {}))
+		);
+	},
+
+	/**
+	 * Posts queued events to the server, together to batchUrl, or the single event of the list to its own url.
+	 *
+	 * @param {Object[]} records - The queued events, only one without batchUrl.
+	 * @returns {Promise<number>} The response status, or 0 when the request did not reach the server.
+	 */
+	post(records) {
+		if (this.batchUrl) {
+			return postToSwan(this.batchUrl, {
+				events: records.map((record) => record.payload),
+			});
+		}
+		return postToSwan(records[0].url, records[0].payload);
+	},
+
+	/**
+	 * Stores the event in the queue and the in-memory buffer.
+	 * The event is sent right away, or with its batch when the batch is full or after batchInterval.
+	 *
+	 * @param {string} url - The URL the event has to be sent to when it is not batched.
+	 * @param {Object} payload - The event payload, which must have an eventId.
+	 * @returns {Promise<void>}
+	 */
+	async enqueue(url, payload) {
+		const record = {
+			eventId: payload.eventId,
+			url,
+			payload,
+			attempts: 0,
+			createdAt: Date.now(),
+			nextAttemptAt: Date.now(),
+		};
+		this.buffer.set(record.eventId, record);
+
+		try {
+			await this.upsertRecord(record);
+		} catch (error) {
+			// Without IndexedDB the event only lives in the buffer, which is still sent on flush and on page hide
+			console.error('Failed to queue event:', error);
+		}
+
+		if (!this.batchUrl || this.buffer.size >= this.batchSize) {
+			await this.flush();
+		} else {
+			this.scheduleFlush(this.batchInterval);
+		}
+	},
+
+	/**
+	 * Sends every queued event that is due, removing the ones the server accepted.
+	 * Failed events are retried with exponential backoff, or when the browser comes back online.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		if (!navigator.onLine) return;
+		// Events queued while a flush is running are picked up by another pass once it finishes
+		if (this.flushing) {
+			this.flushRequested = true;
+			return;
+		}
+		this.flushing = true;
+		this.flushRequested = false;
+		try {
+			let records;
+			try {
+				records = await this.getAllRecords();
+			} catch (error) {
+				// IndexedDB is not available, fall back to the events buffered by this page
+				records = [...this.buffer.values()];
+			}
+
+			const now = Date.now();
+			const expired = records.filter(
+				(record) => now - record.createdAt > this.maxEventAge
+			);
+			await this.removeRecords(expired);
+
+			const due = [];
+			records.forEach((record) => {
+				if (expired.includes(record)) return;
+				if (record.nextAttemptAt > now) {
+					this.scheduleFlush(record.nextAttemptAt - now);
+				} else {
+					due.push(record);
+					this.inFlight.add(record.eventId);
+				}
+			});
+
+			while (due.length) {
+				// A batch holds up to batchSize events, or a single one without batchUrl
+				const batch = due.splice(0, this.batchUrl ? this.batchSize : 1);
+
+				// eslint-disable-next-line no-await-in-loop
+				const status = await this.post(batch);
+
+				if (this.batchUrl && (status === 404 || status === 405)) {
+					// The server has no batch endpoint, the events are sent one by one instead of being dropped
+					console.error(
+						`Batch endpoint not available, status ${status}, sending the events one by one`
+					);
+					this.batchUrl = null;
+					due.unshift(...batch);
+				} else if (status >= 200 && status < 300) {
+					// eslint-disable-next-line no-await-in-loop
+					await this.removeRecords(batch);
+				} else if (!this.isRetryable(status)) {
+					console.error(
+						`Dropping ${batch.length} events, request failed with status ${status}`
+					);
+					// eslint-disable-next-line no-await-in-loop
+					await this.removeRecords(batch);
+				} else {
+					const attempts =
+						Math.max(...batch.map((record) => record.attempts)) + 1;
+					const nextAttemptAt = Date.now() + this.getRetryDelay(attempts);
+					batch.concat(due).forEach((record) => {
+						record.attempts = attempts;
+						record.nextAttemptAt = nextAttemptAt;
+						// the beacon reads the retry delay from the buffer
+						if (this.buffer.has(record.eventId)) {
+							this.buffer.set(record.eventId, record);
+						}
+					});
+					// eslint-disable-next-line no-await-in-loop
+					await Promise.all(
+						batch
+							.concat(due)
+							.map((record) => this.upsertRecord(record).catch(() => {}))
+					);
+					this.scheduleFlush(nextAttemptAt - Date.now());
+					// The rest of the queue would most likely fail the same way, so it waits for the same retry
+					break;
+				}
+			}
+		} catch (error) {
+			console.error('Failed to flush event queue:', error);
+		} finally {
+			this.inFlight.clear();
+			this.flushing = false;
+		}
+		if (this.flushRequested) await this.flush();
+	},
+
+	/**
+	 * Drops every queued event and deletes the database, used when the analytics consent is revoked.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async clear() {
+		this.buffer.clear();
+		if (this.retryTimer) clearTimeout(this.retryTimer.id);
+		this.retryTimer = null;
+		if (this.dbInstance) {
+			this.dbInstance.close();
+			this.dbInstance = null;
+		}
+		indexedDB.deleteDatabase(this.dbName);
+	},
+
+	/**
+	 * Sends the batches waiting in the buffer with navigator.sendBeacon, which keeps working while the page is being unloaded.
+	 * Only the batch endpoint takes beacons, without batching every event has already been posted as soon as it was queued.
+	 * Events waiting for a retry and the ones the running flush is sending are left to the flush, and nothing is sent offline.
+	 * sendBeacon only tells that the browser queued the request, so the events stay in IndexedDB and are sent again
+	 * by the next flush, the server drops the duplicates by eventId. They only leave the buffer, so that the next beacon skips them.
+	 */
+	sendBeacon() {
+		if (!this.batchUrl || !navigator.sendBeacon || !navigator.onLine) return;
+
+		const now = Date.now();
+		const batches = [];
+		[...this.buffer.values()]
+			.filter(
+				(record) =>
+					!this.inFlight.has(record.eventId) && record.nextAttemptAt <= now
+			)
+			.forEach((record) => {
+				let batch = batches.find(
+					(item) =>
+						item.records.length < this.batchSize &&
+						item.size + JSON.stringify(record.payload).length <
+							this.maxBeaconSize
+				);
+				if (!batch) {
+					batch = { records: [], size: 0 };
+					batches.push(batch);
+				}
+				batch.records.push(record);
+				batch.size += JSON.stringify(record.payload).length;
+			});
+
+		batches.forEach(({ records }) => {
+			// A text/plain body keeps the beacon a simple request, so it doesn't need a CORS preflight
+			const body = new Blob(
+				[JSON.stringify({ events: records.map((record) => record.payload) })],
+				{ type: 'text/plain;charset=UTF-8' }
+			);
+			if (navigator.sendBeacon(this.batchUrl, body)) {
+				records.forEach((record) => this.buffer.delete(record.eventId));
+			}
+		});
+	},
+};
+
 /**
  * Converts a JSON object to a base64 string.
  *
@@ -107,12 +511,150 @@ const syncCache = async () => {
 	}
 };
 
+/**
+ * The keys of local storage the personalization tokens of the notifications are resolved from.
+ */
+const PERSONALIZATION_KEYS = [
+	'swan_traits',
+	'swan_userId',
+	'cart',
+	'swan_wishlist',
+	'swan_recentlyViewed',
+];
+
+/**
+ * Removes the keys written by the sdk from local storage.
+ *
+ * @param {(key: string) => boolean} shouldRemove - Called with every key of local storage, returns true for the keys to remove.
+ */
+const removeStoredKeys = (shouldRemove) => {
+	const keys = [];
+	for (let i = 0; i < window.localStorage.length; ++i) {
+		keys.push(window.localStorage.key(i));
+	}
+	keys
+		.filter(shouldRemove)
+		.forEach((key) => window.localStorage.removeItem(key));
+};
+
+/**
+ * Gets the type of a value as used by the ecom event schemas.
+ *
+ * @param {any} value - The value to check.
+ * @returns {('string'|'number'|'boolean'|'array'|'date'|'object'|'null'|'undefined'|'function')} The type of the value.
+ */
+const getSchemaType = (value) => {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (value instanceof Date) return 'date';
+	return typeof value;
+};
+
+/**
+ * Checks the data of an ecom event against its schema.
+ *
+ * @param {{ required: string[], fields: Object<string, string|string[]> }} schema - The schema of the event.
+ * @param {Object} data - The data of the event.
+ * @param {string[]} ignoredFields - Fields added by the sdk itself, which are not reported as unknown.
+ * @returns {string[]} The list of problems found, empty when the data is valid.
+ */
+const validateAgainstSchema = (schema, data, ignoredFields = []) => {
+	if (getSchemaType(data) !== 'object') {
+		return [
+			`expected the event data to be an object, got ${getSchemaType(data)}`,
+		];
+	}
+
+	const problems = [];
+	schema.required.forEach((field) => {
+		if (
+			data[field] === undefined ||
+			data[field] === null ||
+			data[field] === ''
+		) {
+			problems.push(`missing required field "${field}"`);
+		}
+	});
+
+	Object.keys(data).forEach((field) => {
+		const value = data[field];
+		if (!(field in schema.fields)) {
+			if (!ignoredFields.includes(field)) {
+				problems.push(`unknown field "${field}"`);
+			}
+			return;
+		}
+		if (value === undefined || value === null) return;
+
+		const expected = [].concat(schema.fields[field]);
+		const actual = getSchemaType(value);
+		// dates can also be passed as ISO strings
+		const isDateString =
+			actual === 'string' &&
+			expected.includes('date') &&
+			!Number.isNaN(Date.parse(value));
+		if (!expected.includes(actual) && !isDateString) {
+			problems.push(
+				`field "${field}" should be ${expected.join(' or ')}, got ${actual}`
+			);
+		}
+	});
+	return problems;
+};
+
 const swan = {
 	app_name: 'Swan',
 	app_id: '',
 	subscribedToPush: false,
+	swPath: '',
+	// When consent is required nothing is tracked or stored until the matching category is granted with setConsent
+	consentRequired: false,
+	// 'hold' keeps the events in memory until the analytics consent is given, 'drop' discards them
+	consentPolicy: 'hold',
+	consent: { analytics: false, marketing: false, push: false },
+	heldEvents: [],
+	maxHeldEvents: 100,
+	// number of products kept in swan_recentlyViewed, for the personalization of the notifications
+	maxRecentlyViewed: 10,
+	middlewares: [],
+	// a session ends after this many milliseconds without any ecom event
+	sessionTimeout: 30 * 60 * 1000,
+	sessionTimer: null,
+	autoTrackPageViews: false,
+	// z-index of the on-site notifications, so that they can be layered with the overlays of the site
+	notificationZIndex: 10000,
+	// seconds after which the on-site notifications close by themselves when they don't set their own, 0 keeps them open
+	notificationAutoCloseAfter: 0,
+	// milliseconds an on-site notification has to stay on screen before it is acknowledged as viewed
+	notificationViewTime: 1000,
+	// caps across all the on-site notifications, a missing or zero limit means no cap, minInterval is in seconds
+	notificationFrequencyCap: { maxPerSession: 0, maxPerDay: 0, minInterval: 0 },
+	// url of the last page view tracked automatically, used as the referrer of the next one
+	lastPageViewUrl: '',
+	// performance.now() of the last route change of single-page apps, the time on page is counted from it
+	routeChangedAt: 0,
+	// stops waiting for the trigger of the on-site notification that is not shown yet, and the commId of that notification
+	pendingNotificationTrigger: null,
+	pendingNotificationCommId: null,
+	// closes the on-site notifications on screen, by commId, without acknowledging anything
+	renderedNotifications: {},
+	// when no tab is visible, the on-site notification waits for the next tab the user looks at instead of the requesting one
+	notificationFollowUser: false,
+	// 'queue' shows the overlay notifications coming while another one is on screen after it, by priority, 'discard' drops them
+	notificationQueuePolicy: 'queue',
+	// inline on-site notifications by the name of the slot they are rendered in, the observer rendering them in the slots added later,
+	// and the frame its next scan of the page is scheduled for
+	inlinePlacements: {},
+	slotObserver: null,
+	slotScanFrame: null,
 	trackingUrl: '{{TRACKING_URL}}',
+	debug: false,
+	// 'off' skips validation, 'warn' logs the problems found and 'strict' throws on them
+	validation: 'off',
+	// fraction of the events that are validated, useful to keep an eye on production without validating every event
+	validationSampleRate: 1,
 	ecomEventUrl: '{{ECOM_EVENT_URL}}',
+	ecomBatchEventUrl: '{{ECOM_BATCH_EVENT_URL}}',
 
 	// eslint-disable-next-line no-empty-function
 	async serviceWorkerRegistration() {},
@@ -124,31 +666,290 @@ const swan = {
 	 * The initObj should have the following properties
 	 * app_id      - REQUIRED - the app id of the client
 	 * swPath      - REQUIRED - the path of the service worker file which can be downloaded by calling GET /api/websdk/script/serviceworker endpoint
-	 * @param {{ app_id: string, app_version: string, swPath: string, client: string }} initObj
+	 * batchEvents   - OPTIONAL - sends the ecom events together to the batch endpoint, which the server has to provide and which also takes text/plain beacons, instead of one request per event, defaults to false
+	 * batchSize     - OPTIONAL - with batchEvents, the number of ecom events sent together in one request, defaults to 20
+	 * batchInterval - OPTIONAL - with batchEvents, the maximum time in milliseconds an ecom event waits for its batch to fill up, defaults to 5000
+	 * debug         - OPTIONAL - logs developer warnings to the console, and turns on the validation of the ecom events in 'warn' mode
+	 * validation    - OPTIONAL - 'off', 'warn' or 'strict', how the ecom event payloads are validated against ECOM_EVENT_SCHEMAS, defaults to 'off'
+	 * validationSampleRate - OPTIONAL - fraction of the ecom events that are validated, between 0 and 1, defaults to 1
+	 * consentRequired - OPTIONAL - when true nothing is tracked, stored or registered until the consent is given with setConsent
+	 * consentPolicy   - OPTIONAL - 'hold' or 'drop', what happens to the ecom events tracked before the analytics consent, defaults to 'hold'
+	 * sessionTimeout  - OPTIONAL - minutes of inactivity after which the session ends, defaults to 30
+	 * autoTrackPageViews - OPTIONAL - sends a screen event for the page and every route change of a single-page app, and looks up the on-site notifications for the new url
+	 * notificationZIndex - OPTIONAL - the z-index the on-site notifications are shown at, defaults to 10000
+	 * notificationAutoCloseAfter - OPTIONAL - seconds after which the on-site notifications close by themselves, unless they set autoCloseAfter in their design, defaults to 0 (never)
+	 * notificationViewTime - OPTIONAL - milliseconds at least half of an on-site notification has to be on screen before it is acknowledged as viewed, defaults to 1000
+	 * notificationFollowUser - OPTIONAL - when the tab asking for an on-site notification is hidden, shows it in the next tab the user looks at
+	 * notificationQueuePolicy - OPTIONAL - 'queue' or 'discard', what happens to an on-site notification coming while another one is shown, defaults to 'queue'
+	 * notificationFrequencyCap - OPTIONAL - { maxPerSession, maxPerDay, minInterval } across all the on-site notifications, minInterval being the seconds between two of them, no cap by default
+	 * @param {{ app_id: string, app_version: string, swPath: string, client: string, batchEvents: boolean, batchSize: number, batchInterval: number, debug: boolean, validation: ('off'|'warn'|'strict'), validationSampleRate: number, consentRequired: boolean, consentPolicy: ('hold'|'drop'), sessionTimeout: number, autoTrackPageViews: boolean, notificationZIndex: number, notificationAutoCloseAfter: number, notificationViewTime: number, notificationFrequencyCap: { maxPerSession: number, maxPerDay: number, minInterval: number }, notificationQueuePolicy: ('queue'|'discard'), notificationFollowUser: boolean }} initObj
 	 */
 	async init(initObj) {
 		this.app_id = initObj.app_id;
-		if (initObj.swPath) {
-			if (!('serviceWorker' in navigator)) {
-				throw new Error('No Service Worker support!');
+		this.debug = Boolean(initObj.debug);
+		this.validation = initObj.validation || (this.debug ? 'warn' : 'off');
+		if (initObj.validationSampleRate !== undefined) {
+			this.validationSampleRate = initObj.validationSampleRate;
+		}
+		if (initObj.batchEvents) {
+			// without the batch endpoint in the script the events keep being sent one by one
+			if (this.ecomBatchEventUrl.startsWith('{{')) {
+				console.error(
+					`${this.app_name}-batch endpoint not configured, ecom events are sent one by one`
+				);
+			} else {
+				EventQueueSwan.batchUrl = this.getEcomEventBatchUrl();
 			}
-			if (!('PushManager' in window)) {
-				throw new Error('No Push API Support!');
+		}
+		if (initObj.batchSize) EventQueueSwan.batchSize = initObj.batchSize;
+		if (initObj.batchInterval) {
+			EventQueueSwan.batchInterval = initObj.batchInterval;
+		}
+		if (initObj.sessionTimeout) {
+			this.sessionTimeout = initObj.sessionTimeout * 60 * 1000;
+		}
+		this.consentRequired = Boolean(initObj.consentRequired);
+		if (initObj.consentPolicy) this.consentPolicy = initObj.consentPolicy;
+		if (this.consentRequired) {
+			this.consent = {
+				...this.consent,
+				...JSON.parse(window.localStorage.getItem('swan_consent')),
+			};
+		}
+		// create the anonymous id on the first load, so that the events before login can be tied to the user
+		this.getAnonymousId();
+		if (initObj.notificationZIndex !== undefined) {
+			this.notificationZIndex = initObj.notificationZIndex;
+		}
+		if (initObj.notificationAutoCloseAfter !== undefined) {
+			this.notificationAutoCloseAfter = initObj.notificationAutoCloseAfter;
+		}
+		if (initObj.notificationViewTime !== undefined) {
+			this.notificationViewTime = initObj.notificationViewTime;
+		}
+		this.notificationFollowUser = Boolean(initObj.notificationFollowUser);
+		if (initObj.notificationQueuePolicy) {
+			this.notificationQueuePolicy = initObj.notificationQueuePolicy;
+		}
+		if (initObj.notificationFrequencyCap) {
+			this.notificationFrequencyCap = {
+				...this.notificationFrequencyCap,
+				...initObj.notificationFrequencyCap,
+			};
+		}
+		if (initObj.autoTrackPageViews) this.enablePageViewTracking();
+		this.swPath = initObj.swPath;
+		try {
+			await this.registerServiceWorker();
+		} catch (err) {
+			console.log(`${this.app_name}-${err.message}`);
+		}
+	},
+	/**
+	 * This function is used internally to track the page views automatically
+	 * history.pushState and history.replaceState are wrapped and popstate is listened to, so that the route changes of single-page apps are tracked too
+	 */
+	enablePageViewTracking() {
+		if (this.autoTrackPageViews) return;
+		this.autoTrackPageViews = true;
+
+		// the title is usually updated by the app after the url has changed, so the page view is tracked on the next tick
+		const onLocationChange = () => setTimeout(() => this.trackPageView());
+
+		['pushState', 'replaceState'].forEach((method) => {
+			const original = window.history[method];
+			window.history[method] = function wrappedHistoryMethod(...args) {
+				const result = original.apply(this, args);
+				onLocationChange();
+				return result;
+			};
+		});
+		window.addEventListener('popstate', onLocationChange);
+
+		this.trackPageView();
+	},
+	/**
+	 * This function is used internally to send a screen event for the current page, and look up the on-site notifications for it
+	 * Nothing is sent when the url has not changed, e.g. when replaceState only updates the state
+	 */
+	trackPageView() {
+		const url = window.location.href;
+		if (url === this.lastPageViewUrl) return;
+		const isFirstPageView = !this.lastPageViewUrl;
+		const referrer = this.lastPageViewUrl || document.referrer;
+		this.lastPageViewUrl = url;
+
+		this.screen({
+			screenName: document.title || window.location.pathname,
+			path: window.location.pathname,
+			title: document.title,
+			url,
+			referrer,
+		});
+
+		// the notification waiting for its trigger was meant for the previous page,
+		// and the inline notifications targeting the new one are rendered into its slots
+		if (!isFirstPageView) {
+			this.routeChangedAt = performance.now();
+			this.cancelNotificationTrigger();
+			watchInlineSlots();
+		}
+
+		// the first page view is already looked up by the window load handler
+		if (!isFirstPageView || document.readyState === 'complete') {
+			requestOnSiteNotification(url);
+		}
+	},
+	/**
+	 * This function is used internally to stop waiting for the trigger of an on-site notification, e.g. when the page changes
+	 */
+	cancelNotificationTrigger() {
+		if (this.pendingNotificationTrigger) this.pendingNotificationTrigger();
+	},
+	/**
+	 * This function is used internally to register the service worker, once the push or marketing consent allows it
+	 * The notification permission is only asked for with the push consent
+	 */
+	async registerServiceWorker() {
+		if (!this.swPath || this.subscribedToPush) return;
+		if (!this.hasConsent('push') && !this.hasConsent('marketing')) return;
+
+		if (!('serviceWorker' in navigator)) {
+			throw new Error('No Service Worker support!');
+		}
+		if (!('PushManager' in window)) {
+			throw new Error('No Push API Support!');
+		}
+		if (this.hasConsent('push')) await requestNotificationPermission();
+		try {
+			this.serviceWorkerRegistration = await navigator.serviceWorker.register(
+				this.swPath
+			);
+
+			if (this.hasConsent('marketing')) await syncCache();
+		} catch (err) {
+			console.log(`${this.app_name}-service worker path not found`);
+		}
+
+		this.subscribedToPush = true;
+		this.subscribeToPush();
+	},
+	/**
+	 * This function is used internally to ask the service worker for the push subscription, only with the push consent
+	 * The service worker holds the application server key the subscription is made with
+	 */
+	subscribeToPush() {
+		if (!this.hasConsent('push')) return;
+		navigator.serviceWorker.ready
+			.then((registration) =>
+				registration.active.postMessage({ purpose: 'subscribe-to-push' })
+			)
+			.catch((err) => {
+				console.log(`${this.app_name}-err while subscribing to push`, err);
+			});
+	},
+	/**
+	 * Checks whether the user has given the consent for a category, always true when consent is not required
+	 * @param { 'analytics' | 'marketing' | 'push' } category
+	 * @returns { boolean }
+	 */
+	hasConsent(category) {
+		return !this.consentRequired || Boolean(this.consent[category]);
+	},
+	/**
+	 * This function should be called by the client with the choices of the user, in consent mode
+	 * analytics - the ecom events are sent and the sdk stores its data in local storage and IndexedDB
+	 * marketing - the on-site notifications are fetched and stored
+	 * push      - the notification permission is asked for and the push subscription is kept
+	 * Revoking a category clears the data stored for it.
+	 * @param { { analytics: boolean, marketing: boolean, push: boolean } } consent
+	 */
+	async setConsent(consent) {
+		const previous = this.consent;
+		this.consent = { ...previous, ...consent };
+		window.localStorage.setItem('swan_consent', JSON.stringify(this.consent));
+
+		const revoked = (category) => previous[category] && !this.consent[category];
+		const granted = (category) => !previous[category] && this.consent[category];
+		const wasRegistered = this.subscribedToPush;
+
+		if (this.hasConsent('analytics')) {
+			// replay the events tracked before the consent was given, they were already validated when tracked
+			const heldEvents = this.heldEvents.splice(0);
+			heldEvents.forEach(([eventName, eventData]) =>
+				this.trackValidatedEvent(eventName, eventData)
+			);
+		} else {
+			this.heldEvents = [];
+		}
+		if (revoked('analytics')) {
+			await EventQueueSwan.clear();
+			removeStoredKeys(
+				(key) =>
+					(key.startsWith('swan_') && key !== 'swan_consent') || key === 'cart'
+			);
+			// the copy the service worker personalizes the push notifications with is analytics data as well
+			await clearPersonalizationContext();
+		}
+		if (revoked('marketing')) {
+			this.cancelNotificationTrigger();
+			NotificationQueueSwan.clear();
+			this.inlinePlacements = {};
+			stopWatchingSlots();
+			window.localStorage.removeItem('swanCredentials');
+			window.sessionStorage.removeItem('swan_notificationSessionId');
+			await caches.delete('swan-cache');
+			// the service worker closes its connection to on-site-db so that it can be deleted
+			const registration = this.serviceWorkerRegistration;
+			if (registration && registration.active) {
+				registration.active.postMessage({ type: 'logout' });
 			}
+			indexedDB.deleteDatabase('on-site-db');
+			// the frequency caps outlive a logout, not the consent
+			indexedDB.deleteDatabase('swan-display-history-db');
+		}
+
+		try {
+			await this.registerServiceWorker();
+		} catch (err) {
+			console.log(`${this.app_name}-${err.message}`);
+			return;
+		}
+		if (wasRegistered && granted('push')) {
+			// the service worker was registered for the on-site notifications only, it subscribes now
 			await requestNotificationPermission();
-			try {
-				this.serviceWorkerRegistration = await navigator.serviceWorker.register(
-					initObj.swPath
-				);
+			this.subscribeToPush();
+		}
+		// the page has already loaded without the on-site notifications, they are fetched now
+		if (granted('marketing') && document.readyState === 'complete') {
+			loadOnSiteNotifications();
+		}
 
-				await syncCache();
-			} catch (err) {
-				console.log(`${this.app_name}-service worker path not found`);
-			}
+		const registration = this.serviceWorkerRegistration;
+		if (!this.subscribedToPush || !registration.pushManager) return;
 
-			this.subscribedToPush = true;
+		if (!this.hasConsent('push') && !this.hasConsent('marketing')) {
+			// neither push nor on-site notifications are allowed, so the service worker is not needed anymore
+			const subscription = await registration.pushManager.getSubscription();
+			if (subscription) await subscription.unsubscribe();
+			await registration.unregister();
+			this.subscribedToPush = false;
+		} else if (!this.hasConsent('push')) {
+			const subscription = await registration.pushManager.getSubscription();
+			if (subscription) await subscription.unsubscribe();
 		}
 	},
+	/**
+	 * This function is used internally to write the data of the ecom events to local storage, only with the analytics consent
+	 * @param { string } key
+	 * @param { string } value
+	 */
+	setStoredItem(key, value) {
+		if (!this.hasConsent('analytics')) return;
+		window.localStorage.setItem(key, value);
+		// the service worker resolves the tokens of the push notifications from its own copy of the context
+		if (PERSONALIZATION_KEYS.includes(key)) syncPersonalizationContext();
+	},
 	/**
 	 * This object would have all the ecom events that are being tracked by the sdk.
 	 * Any new events should be added here.
@@ -187,37 +988,393 @@ const swan = {
 		WISHLIST_PRODUCT_ADDED_TO_CART: 'wishlistProductAddedToCart',
 		SHIPPED: 'shipped',
 		PRODUCT_QUANTITY_SELECTED: 'productQuantitySelected',
+		SESSION_START: 'sessionStart',
+		SESSION_END: 'sessionEnd',
+		ALIAS: 'alias',
+		IDENTIFY: 'identify',
 	}),
 	/**
-	 * This function is used internally to get the ecom event track url
-	 */
-	getEcomEventTrackUrl() {
-		return `${this.ecomEventUrl}?appId=${this.app_id}`;
-	},
-	/**
-	 * This function is used internally to get the device brand for the ecom events data
+	 * This object has the schema of the data of every ecom event, keyed like ECOM_EVENTS.
+	 * Any new event added to ECOM_EVENTS should have its schema here.
+	 * required - the fields that must be present
+	 * fields   - every known field with its type, or list of accepted types
 	 */
-	getDeviceBrand() {
-		const { userAgent } = navigator;
-		if (userAgent.match(/iPhone/i)) {
-			return 'Apple';
-		}
-		if (userAgent.match(/iPad/i)) {
-			return 'Apple';
-		}
-		if (userAgent.match(/Android/i)) {
-			// Extract Android device brand from user agent
-			return userAgent.match(/Android\s([^;]+)/i)[1];
-		}
-		if (userAgent.match(/Macintosh/i)) {
-			return 'Apple';
-		}
-		if (userAgent.match(/Windows/i)) {
-			return 'Microsoft';
-		}
-		if (userAgent.match(/Linux/i)) {
-			return 'Linux';
-		}
+	ECOM_EVENT_SCHEMAS: Object.freeze({
+		USER_LOGOUT: {
+			required: [],
+			fields: { timeOfLogin: 'date' },
+		},
+		USER_LOGIN: {
+			required: [],
+			fields: { timeOfLogin: 'date' },
+		},
+		FORGOT_PASSWORD: {
+			required: ['success'],
+			fields: { success: 'boolean' },
+		},
+		SEARCH: {
+			required: ['searchKeyword'],
+			fields: { searchKeyword: 'string' },
+		},
+		PRODUCT_VIEWED: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				productCategory: 'string',
+				productBrand: 'string',
+				size: 'string',
+				colour: 'string',
+				productPrice: ['string', 'number'],
+			},
+		},
+		PRODUCT_CLICKED: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				productCategory: 'string',
+				productBrand: 'string',
+				productPrice: ['string', 'number'],
+				timeStand: 'date',
+				country: 'string',
+			},
+		},
+		PRODUCT_LIST_VIEWED: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				sku: 'string',
+				category: 'string',
+				price: ['string', 'number'],
+				url: 'string',
+			},
+		},
+		PRODUCT_ADDED_TO_ADD_TO_CART: {
+			required: ['productId', 'quantity'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				quantity: ['string', 'number'],
+				price: ['string', 'number'],
+				wighted: ['string', 'boolean'],
+				weightedQuantity: ['string', 'number'],
+			},
+		},
+		PRODUCT_REMOVED_FROM_ADD_TO_CART: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				quantity: ['string', 'number'],
+				price: ['string', 'number'],
+				wighted: ['string', 'boolean'],
+				weightedQuantity: ['string', 'number'],
+			},
+		},
+		SELECT_CATEGORY: {
+			required: ['categoryId'],
+			fields: { categoryId: 'string', categoryName: 'string' },
+		},
+		CATEGORY_VIEWED_PAGE: {
+			required: ['categoryId'],
+			fields: {
+				categoryId: 'string',
+				categoryName: 'string',
+				pageType: 'string',
+				productList: 'array',
+			},
+		},
+		PRODUCT_ADDED_TO_WISHLIST: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				quantity: ['string', 'number'],
+				size: 'string',
+				price: ['string', 'number'],
+			},
+		},
+		PRODUCT_REMOVED_FROM_WISHLIST: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				productName: 'string',
+				quantity: ['string', 'number'],
+				size: 'string',
+				price: ['string', 'number'],
+			},
+		},
+		PRODUCT_RATED_OR_REVIEWED: {
+			required: ['productId', 'rateValue'],
+			fields: {
+				productId: 'string',
+				productCategory: 'string',
+				extraNote: 'string',
+				rateValue: ['string', 'number'],
+				rateSubjectId: 'string',
+			},
+		},
+		CART_VIEWED: {
+			required: ['cartItems'],
+			fields: {
+				cartItems: 'array',
+				totalPrice: ['string', 'number'],
+				timeStamp: 'date',
+				numberOfItems: 'number',
+			},
+		},
+		OFFER_AVAILED: {
+			required: ['couponCode'],
+			fields: { couponCode: 'string', orderId: 'string', expiryDate: 'date' },
+		},
+		CHECKOUT_STARTED: {
+			required: ['checkoutId'],
+			fields: {
+				checkoutId: 'string',
+				orderId: 'string',
+				items: 'array',
+				totalAmount: ['string', 'number'],
+				couponCode: 'string',
+			},
+		},
+		CHECKOUT_COMPLETED: {
+			required: ['checkoutId', 'orderId'],
+			fields: {
+				checkoutId: 'string',
+				orderId: 'string',
+				totalAmount: ['string', 'number'],
+				checkoutDuration: ['string', 'number'],
+			},
+		},
+		CHECKOUT_CANCELED: {
+			required: ['orderId'],
+			fields: { orderId: 'string', cancel: 'boolean' },
+		},
+		PAYMENT_INFO_ENTERED: {
+			required: ['paymentType'],
+			fields: {
+				currency: 'string',
+				value: ['string', 'number'],
+				items: 'array',
+				paymentType: 'string',
+			},
+		},
+		ORDER_COMPLETED: {
+			required: ['orderId', 'orderAmount'],
+			fields: {
+				orderId: 'string',
+				orderAmount: ['string', 'number'],
+				orderSuccessful: 'boolean',
+			},
+		},
+		ORDER_REFUNDED: {
+			required: ['orderId'],
+			fields: {
+				orderId: 'string',
+				orderAmount: ['string', 'number'],
+				orderRefundId: 'string',
+				reasonOfRefund: 'string',
+			},
+		},
+		ORDER_CANCELLED: {
+			required: ['orderId'],
+			fields: {
+				orderId: 'string',
+				orderAmount: ['string', 'number'],
+				reasonForCancellation: 'string',
+				originalPaymentMethod: 'string',
+				productId: 'string',
+			},
+		},
+		ORDER_EXPERIANCE_RATING: {
+			required: ['rateValue'],
+			fields: {
+				orderType: 'string',
+				deliveryType: 'string',
+				rateValue: ['string', 'number'],
+			},
+		},
+		PRODUCT_REVIEW: {
+			required: ['productId'],
+			fields: {
+				productId: 'string',
+				deliveryType: 'string',
+				extraNote: 'string',
+				rateValue: ['string', 'number'],
+				rateSubjectId: 'string',
+			},
+		},
+		PURCHASED: {
+			required: ['orderId'],
+			fields: {
+				orderId: 'string',
+				brandId: 'string',
+				sku: 'string',
+				purchaseDate: 'date',
+				orderCreatedDate: 'date',
+			},
+		},
+		APP_UPDATED: {
+			required: ['appVersion'],
+			fields: {
+				appVersion: 'string',
+				timeOfUpdation: 'date',
+				updateType: 'string',
+				previousVersion: 'string',
+				updateID: 'string',
+			},
+		},
+		ACCOUNT_DELETION: {
+			required: ['success'],
+			fields: { apiCode: 'string', success: 'boolean', comment: 'string' },
+		},
+		SHARE: {
+			required: ['itemId'],
+			fields: { itemId: 'string' },
+		},
+		SCREEN: {
+			required: ['screenName'],
+			fields: {
+				screenName: 'string',
+				path: 'string',
+				title: 'string',
+				url: 'string',
+				referrer: 'string',
+			},
+		},
+		WISHLIST_PRODUCT_ADDED_TO_CART: {
+			required: ['productId'],
+			fields: {
+				wishlistId: 'string',
+				productId: 'string',
+				productName: 'string',
+				category: 'string',
+				quantity: ['string', 'number'],
+				price: ['string', 'number'],
+				size: 'string',
+				brand: 'string',
+				url: 'string',
+			},
+		},
+		SHIPPED: {
+			required: ['orderId'],
+			fields: {
+				productName: 'string',
+				productCategory: 'string',
+				productSubCategory: 'string',
+				productId: 'string',
+				sku: 'string',
+				orderId: 'string',
+				price: ['string', 'number'],
+				postalCode: 'string',
+			},
+		},
+		PRODUCT_QUANTITY_SELECTED: {
+			required: ['productId', 'quantity'],
+			fields: {
+				productName: 'string',
+				quantity: ['string', 'number'],
+				productId: 'string',
+				productCategory: 'string',
+			},
+		},
+		SESSION_START: {
+			required: [],
+			fields: { landingPage: 'string', referrer: 'string' },
+		},
+		SESSION_END: {
+			required: [],
+			fields: {
+				sessionStartedAt: 'date',
+				sessionDuration: 'number',
+				eventCount: 'number',
+			},
+		},
+		ALIAS: {
+			required: ['anonymousId', 'userId'],
+			fields: { anonymousId: 'string', userId: 'string' },
+		},
+		IDENTIFY: {
+			required: [],
+			fields: { email: 'string', mobile: 'string', traits: 'object' },
+		},
+	}),
+	/**
+	 * Fields that the exposed functions add to the event data themselves, so they are not reported as unknown
+	 */
+	SDK_EVENT_FIELDS: Object.freeze([
+		'deviceModel',
+		'deviceBrand',
+		'userId',
+		'sdkVersion',
+		'osModal',
+		'deviceModal',
+	]),
+	/**
+	 * This function is used internally to validate the ecom event data against its schema before it is sent
+	 * In 'warn' mode the problems are logged, in 'strict' mode an error is thrown
+	 * @param { ECOM_EVENTS } eventName
+	 * @param { any } eventData
+	 */
+	validateEvent(eventName, eventData) {
+		if (this.validation === 'off') return;
+		if (Math.random() >= this.validationSampleRate) return;
+
+		const key = Object.keys(this.ECOM_EVENTS).find(
+			(eventKey) => this.ECOM_EVENTS[eventKey] === eventName
+		);
+		const schema = this.ECOM_EVENT_SCHEMAS[key];
+		const problems = schema
+			? validateAgainstSchema(schema, eventData, this.SDK_EVENT_FIELDS)
+			: [`no schema found for event "${eventName}"`];
+		if (!problems.length) return;
+
+		const message = `${
+			this.app_name
+		}-invalid "${eventName}" event: ${problems.join(', ')}`;
+		if (this.validation === 'strict') {
+			throw new Error(message);
+		}
+		console.warn(message, eventData);
+	},
+	/**
+	 * This function is used internally to get the ecom event track url
+	 */
+	getEcomEventTrackUrl() {
+		return `${this.ecomEventUrl}?appId=${this.app_id}`;
+	},
+	/**
+	 * This function is used internally to get the url the batches of ecom events are sent to
+	 */
+	getEcomEventBatchUrl() {
+		return `${this.ecomBatchEventUrl}?appId=${this.app_id}`;
+	},
+	/**
+	 * This function is used internally to get the device brand for the ecom events data
+	 */
+	getDeviceBrand() {
+		const { userAgent } = navigator;
+		if (userAgent.match(/iPhone/i)) {
+			return 'Apple';
+		}
+		if (userAgent.match(/iPad/i)) {
+			return 'Apple';
+		}
+		if (userAgent.match(/Android/i)) {
+			// Extract Android device brand from user agent
+			return userAgent.match(/Android\s([^;]+)/i)[1];
+		}
+		if (userAgent.match(/Macintosh/i)) {
+			return 'Apple';
+		}
+		if (userAgent.match(/Windows/i)) {
+			return 'Microsoft';
+		}
+		if (userAgent.match(/Linux/i)) {
+			return 'Linux';
+		}
 		return 'unknown';
 	},
 	/**
@@ -278,8 +1435,22 @@ const swan = {
 	getUserId() {
 		return window.localStorage.getItem('swan_userId') || '';
 	},
+	/**
+	 * This function is used internally to get the anonymous id of the visitor for the ecom events data
+	 * It is created on the first load and kept after login, so the backend can merge the history before login into the profile
+	 */
+	getAnonymousId() {
+		let anonymousId = window.localStorage.getItem('swan_anonymousId');
+		if (!anonymousId && this.hasConsent('analytics')) {
+			anonymousId = generateId();
+			this.setStoredItem('swan_anonymousId', anonymousId);
+		}
+		return anonymousId || '';
+	},
 	// login with mobile or email
+	// the user is only tied to their push subscription and on-site notifications with the push or marketing consent
 	async login(val) {
+		if (!this.hasConsent('push') && !this.hasConsent('marketing')) return;
 		const data = {
 			eventType: 'login',
 			eventData: {
@@ -288,7 +1459,7 @@ const swan = {
 			},
 		};
 
-		if (this.subscribedToPush) {
+		if (this.subscribedToPush && this.hasConsent('push')) {
 			this.serviceWorkerRegistration.pushManager
 				.getSubscription()
 				.then((subscription) => {
@@ -307,15 +1478,177 @@ const swan = {
 		}
 		sendToSwan(this.getTrackingUrl(), data);
 	},
+	/**
+	 * Adds a middleware to the chain that every ecom event payload goes through before it is sent.
+	 * Middlewares run in the order they were added, and can be async.
+	 * A middleware can change the payload in place or return a new one, returning false or null cancels the event.
+	 * If a middleware throws, the event is dropped so that a failing redaction step never leaks data.
+	 * @param { (payload: { eventId: string, userId: string, name: string, data: Object }) => any } middleware
+	 * @returns { swan }
+	 */
+	use(middleware) {
+		if (typeof middleware !== 'function') {
+			throw new Error(`${this.app_name}-middleware must be a function`);
+		}
+		this.middlewares.push(middleware);
+		return this;
+	},
+	/**
+	 * This function is used internally to run the payload of an ecom event through the middlewares
+	 * @param { Object } payload
+	 * @returns { Promise<Object | null> } The final payload, or null when the event has been cancelled
+	 */
+	async runMiddlewares(payload) {
+		let current = payload;
+		// eslint-disable-next-line no-restricted-syntax
+		for (const middleware of this.middlewares) {
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				const result = await middleware(current);
+				if (result === false || result === null) return null;
+				if (result && typeof result === 'object') current = result;
+			} catch (error) {
+				console.error(
+					`${this.app_name}-middleware failed, dropping ${current.name} event`,
+					error
+				);
+				return null;
+			}
+		}
+		return current;
+	},
+	/**
+	 * This function is used internally to get the current session from local storage, so that it is shared across tabs
+	 * @returns { { id: string, startedAt: number, lastActivityAt: number, sequence: number } | null }
+	 */
+	getSession() {
+		return JSON.parse(window.localStorage.getItem('swan_session'));
+	},
+	/**
+	 * This function is used internally to get the session the on-site notifications are capped per
+	 * It is the ecom session while it is active, otherwise the browsing session of the tab
+	 * @returns { string } The id of the session
+	 */
+	getNotificationSessionId() {
+		const session = this.getSession();
+		if (session && Date.now() - session.lastActivityAt <= this.sessionTimeout) {
+			return session.id;
+		}
+		let id = window.sessionStorage.getItem('swan_notificationSessionId');
+		if (!id) {
+			id = generateId();
+			window.sessionStorage.setItem('swan_notificationSessionId', id);
+		}
+		return id;
+	},
+	/**
+	 * This function is used internally to end the stored session with a sessionEnd event
+	 * @param { { id: string, startedAt: number, lastActivityAt: number, sequence: number } } session
+	 */
+	endSession(session) {
+		window.localStorage.removeItem('swan_session');
+		this.queueEvent(
+			this.ECOM_EVENTS.SESSION_END,
+			{
+				sessionStartedAt: new Date(session.startedAt),
+				sessionDuration: session.lastActivityAt - session.startedAt,
+				eventCount: session.sequence,
+			},
+			{ ...session, sequence: session.sequence + 1 }
+		);
+	},
+	/**
+	 * This function is used internally to record an activity in the session, called for every ecom event
+	 * A new session is started, and the expired one ended, when there has been no activity for sessionTimeout
+	 * @returns { { id: string, startedAt: number, lastActivityAt: number, sequence: number } } The session with the sequence number of the event
+	 */
+	touchSession() {
+		const now = Date.now();
+		let session = this.getSession();
+		let isNewSession = false;
+		if (!session || now - session.lastActivityAt > this.sessionTimeout) {
+			if (session) this.endSession(session);
+			session = { id: generateId(), startedAt: now, sequence: 0 };
+			isNewSession = true;
+			// the visitor counts as returning for the audiences of the on-site notifications from the next session on
+			if (!window.localStorage.getItem('swan_firstSessionAt')) {
+				window.localStorage.setItem('swan_firstSessionAt', String(now));
+			}
+		}
+		session.sequence += 1;
+		session.lastActivityAt = now;
+
+		if (isNewSession) {
+			this.queueEvent(
+				this.ECOM_EVENTS.SESSION_START,
+				{ landingPage: window.location.href, referrer: document.referrer },
+				{ ...session }
+			);
+			session.sequence += 1;
+		}
+		window.localStorage.setItem('swan_session', JSON.stringify(session));
+
+		// end the session from this tab if it stays inactive, unless another tab has kept it going
+		clearTimeout(this.sessionTimer);
+		this.sessionTimer = setTimeout(() => {
+			const current = this.getSession();
+			if (
+				current &&
+				current.id === session.id &&
+				Date.now() - current.lastActivityAt >= this.sessionTimeout
+			) {
+				this.endSession(current);
+			}
+		}, this.sessionTimeout);
+		return session;
+	},
 	/**
 	 * This function is used internally to track the ecom events from the exposed functions
 	 * @param { ECOM_EVENTS } eventName
 	 * @param { any } eventData
+	 * @returns { Promise<void> } A promise that resolves once the event has gone through the middlewares and is queued
 	 */
 	trackEvent(eventName, eventData) {
+		// check the event data before anything is sent, this throws in strict validation mode
+		this.validateEvent(eventName, eventData);
+		return this.trackValidatedEvent(eventName, eventData);
+	},
+	/**
+	 * This function is used internally to track an ecom event whose data has already been validated with validateEvent
+	 * @param { ECOM_EVENTS } eventName
+	 * @param { any } eventData
+	 * @returns { Promise<void> } A promise that resolves once the event has gone through the middlewares and is queued
+	 */
+	trackValidatedEvent(eventName, eventData) {
+		// without the analytics consent the event is held until it is given, or dropped
+		if (!this.hasConsent('analytics')) {
+			if (
+				this.consentPolicy === 'hold' &&
+				this.heldEvents.length < this.maxHeldEvents
+			) {
+				this.heldEvents.push([eventName, eventData]);
+			}
+			return Promise.resolve();
+		}
+
+		const session = this.touchSession();
+		return this.queueEvent(eventName, eventData, session);
+	},
+	/**
+	 * This function is used internally to build the payload of an ecom event and queue it
+	 * @param { ECOM_EVENTS } eventName
+	 * @param { any } eventData
+	 * @param { { id: string, sequence: number } } session - the session the event belongs to
+	 * @returns { Promise<void> } A promise that resolves once the event has gone through the middlewares and is queued
+	 */
+	queueEvent(eventName, eventData, session) {
 		// construct the payload for the ecom event
 		const payload = {
+			eventId: generateId(),
 			userId: this.getUserId(),
+			anonymousId: this.getAnonymousId(),
+			sessionId: session.id,
+			sessionSequence: session.sequence,
 			name: eventName,
 			data: eventData,
 		};
@@ -326,21 +1659,29 @@ const swan = {
 		payload.data.deviceModal = this.getDeviceModel();
 		payload.data.deviceBrand = this.getDeviceBrand();
 
-		// send ecom event to server
-		const xhr = new XMLHttpRequest();
-		xhr.open('POST', this.getEcomEventTrackUrl(), true);
-		xhr.setRequestHeader('Content-Type', 'application/json');
-		xhr.send(JSON.stringify(payload));
+		const url = this.getEcomEventTrackUrl();
+		return this.runMiddlewares(payload).then((finalPayload) => {
+			if (!finalPayload) return;
+			// queue the ecom event, it is removed from the queue once the server has accepted it
+			EventQueueSwan.enqueue(url, finalPayload);
+		});
 	},
 	/**
 	 * This function should be called for ecom along with the login function
+	 * It also sends an alias event linking the anonymous id of the visitor to the userId
 	 * @param { { userId: string } } data
 	 */
 	userLogin(data) {
 		const timeOfLogin = new Date();
-		window.localStorage.setItem('swan_userId', data.userId);
-		window.localStorage.setItem('swan_timeOfLogin', timeOfLogin);
-		this.trackEvent(this.ECOM_EVENTS.USER_LOGIN, { timeOfLogin });
+		const alias = { anonymousId: this.getAnonymousId(), userId: data.userId };
+		// both events are validated before the user is stored, so that strict validation doesn't leave a half applied login
+		this.validateEvent(this.ECOM_EVENTS.ALIAS, alias);
+		this.validateEvent(this.ECOM_EVENTS.USER_LOGIN, { timeOfLogin });
+
+		this.setStoredItem('swan_userId', data.userId);
+		this.setStoredItem('swan_timeOfLogin', timeOfLogin);
+		this.trackValidatedEvent(this.ECOM_EVENTS.ALIAS, alias);
+		this.trackValidatedEvent(this.ECOM_EVENTS.USER_LOGIN, { timeOfLogin });
 	},
 	/**
 	 * This function should be called by the client when the user logs out
@@ -375,6 +1716,8 @@ const swan = {
 		});
 	},
 	/**
+	 * This function is used to track the product viewed event
+	 * This also stores the last viewed products in local storage, for the personalization of the notifications
 	 * @param { { productId: string, productName: string, productCategory: string, productBrand: string, size: string, colour: string, productPrice: string } } data
 	 */
 	productViewed(data) {
@@ -383,6 +1726,14 @@ const swan = {
 			deviceModel: this.getDeviceModel(),
 			deviceBrand: this.getDeviceBrand(),
 		});
+		const recentlyViewed = (
+			JSON.parse(window.localStorage.getItem('swan_recentlyViewed')) || []
+		).filter((product) => product.productId !== data.productId);
+		recentlyViewed.unshift({ ...data, viewedAt: new Date() });
+		this.setStoredItem(
+			'swan_recentlyViewed',
+			JSON.stringify(recentlyViewed.slice(0, this.maxRecentlyViewed))
+		);
 	},
 	/**
 	 * @param { { productId: string, productName: string, productCategory: string, productBrand: string, productPrice: string, timeStand: Date, country: string } } data
@@ -412,7 +1763,7 @@ const swan = {
 			...data,
 			timeAddedToCart: new Date(),
 		});
-		window.localStorage.setItem('cart', JSON.stringify(cart));
+		this.setStoredItem('cart', JSON.stringify(cart));
 	},
 	/**
 	 * This function is used to track the product removed from cart event
@@ -423,7 +1774,7 @@ const swan = {
 		this.trackEvent(this.ECOM_EVENTS.PRODUCT_REMOVED_FROM_ADD_TO_CART, data);
 		const cart = JSON.parse(window.localStorage.getItem('swan_cart')) || [];
 		const newCart = cart.filter((item) => item.productId !== data.productId);
-		window.localStorage.setItem('swan_cart', JSON.stringify(newCart));
+		this.setStoredItem('swan_cart', JSON.stringify(newCart));
 	},
 	/**
 	 * @param { { categoryId: string, categoryName: string } } data
@@ -450,7 +1801,7 @@ const swan = {
 			...data,
 			timeAddedToWishlist: new Date(),
 		});
-		window.localStorage.setItem('swan_wishlist', JSON.stringify(wishlist));
+		this.setStoredItem('swan_wishlist', JSON.stringify(wishlist));
 	},
 	/**
 	 * This function is used to track the product added to wishlist event
@@ -464,7 +1815,7 @@ const swan = {
 		const newWishlist = wishlist.filter(
 			(item) => item.productId !== data.productId
 		);
-		window.localStorage.setItem('swan_wishlist', JSON.stringify(newWishlist));
+		this.setStoredItem('swan_wishlist', JSON.stringify(newWishlist));
 	},
 	/**
 	 * @param { { productId: string, productCategory: string, extraNote: string, rateValue: string, rateSubjectId: string } } data
@@ -572,13 +1923,13 @@ const swan = {
 		this.trackEvent(this.ECOM_EVENTS.SHARE, { itemId: data.productId });
 	},
 	/**
-	 * @param { { screenName: string } } data
+	 * @param { { screenName: string, path: string, title: string, url: string, referrer: string } } data
 	 */
 	screen(data) {
 		this.trackEvent(this.ECOM_EVENTS.SCREEN, data);
 	},
 	/**
-	 * @param { { wishlistId: string, productId: string, productName: string, category: string, qantity: string, price: string, size: string, brand: string, url: string } } data
+	 * @param { { wishlistId: string, productId: string, productName: string, category: string, quantity: string, price: string, size: string, brand: string, url: string } } data
 	 */
 	wishlistProductAddedToCart(data) {
 		this.trackEvent(this.ECOM_EVENTS.WISHLIST_PRODUCT_ADDED_TO_CART, data);
@@ -602,6 +1953,12 @@ const swan = {
 	 * @returns {Promise<void>} A promise that resolves when the login process is complete.
 	 */
 	async onsiteLogin(credentials) {
+		if (!this.hasConsent('marketing')) {
+			console.log(
+				`${this.app_name}-on-site login skipped, no marketing consent`
+			);
+			return;
+		}
 		const userDetails = { credentials, appId: this.appId };
 		const encodedUserDetails = jsonToBase64(userDetails);
 
@@ -609,6 +1966,8 @@ const swan = {
 		window.localStorage.setItem('swanCredentials', encodedUserDetails);
 
 		// Send Message only when service worker is ready
+		// Without a controller the worker may never get ready for this page, it fetches with the cached credentials on the next load
+		if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
 		const registration = await navigator.serviceWorker.ready;
 		if (registration) {
 			console.log('inside fetch notification from api');
@@ -629,6 +1988,8 @@ const swan = {
 		await removeFromCache();
 		window.localStorage.removeItem('swanCredentials');
 
+		// Without a controller the worker may never get ready for this page, and nothing has been fetched through it
+		if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
 		const registration = await navigator.serviceWorker.ready;
 		if (registration) {
 			registration.active.postMessage({
@@ -636,85 +1997,775 @@ const swan = {
 			});
 		}
 	},
+
+	/**
+	 * Identifies the user in every part of the sdk at once, instead of calling userLogin, login and onsiteLogin separately.
+	 * userId is used for the ecom events, email or mobile for the push subscription and the on-site notifications.
+	 * traits are stored for the ecom events data and personalization, and sent with an identify event.
+	 * The events are validated before anything is stored, so that strict validation doesn't leave a half identified user.
+	 *
+	 * @param {{ userId: string, email: string, mobile: string, traits: Object }} user - The details of the user.
+	 * @returns {Promise<void>} A promise that resolves when the service worker has been told about the user.
+	 */
+	async identify({ userId, email, mobile, traits } = {}) {
+		const data = {};
+		if (email) data.email = email;
+		if (mobile) data.mobile = mobile;
+		if (traits) data.traits = traits;
+		const hasIdentifyEvent = Boolean(email || mobile || traits);
+		if (hasIdentifyEvent) this.validateEvent(this.ECOM_EVENTS.IDENTIFY, data);
+
+		// userLogin validates its own events before storing the user
+		if (userId) this.userLogin({ userId });
+		if (traits) {
+			const storedTraits = JSON.parse(
+				window.localStorage.getItem('swan_traits')
+			);
+			this.setStoredItem(
+				'swan_traits',
+				JSON.stringify({ ...storedTraits, ...traits })
+			);
+		}
+		if (hasIdentifyEvent) {
+			this.trackValidatedEvent(this.ECOM_EVENTS.IDENTIFY, data);
+		}
+
+		const credentials = email || mobile;
+		if (credentials) {
+			this.login(credentials);
+			await this.onsiteLogin(credentials);
+		}
+	},
+
+	/**
+	 * Clears the identity of the user from every part of the sdk, it should be called when the user logs out.
+	 * The visitor gets a new anonymous id and session, so the next events are not tied to the previous user.
+	 *
+	 * @returns {Promise<void>} A promise that resolves when the service worker has been told about the logout.
+	 */
+	async reset() {
+		if (this.getUserId()) this.userLogout();
+		window.localStorage.removeItem('swan_traits');
+
+		const session = this.getSession();
+		if (session) this.endSession(session);
+		window.localStorage.removeItem('swan_anonymousId');
+		window.localStorage.removeItem('swan_firstSessionAt');
+		// the cart, wishlist and recently viewed products belong to the previous user,
+		// and the push notifications must not be personalized for them anymore
+		['cart', 'swan_cart', 'swan_wishlist', 'swan_recentlyViewed'].forEach(
+			(key) => window.localStorage.removeItem(key)
+		);
+		await clearPersonalizationContext();
+
+		// the inline notifications were chosen for the previous user
+		this.inlinePlacements = {};
+		stopWatchingSlots();
+		await this.onsiteLogout();
+	},
 };
 
 /**
- * This function is used to show a modal notification in the center of the screen.
- * @param {Object} data - The data object containing various properties for the modal notification.
- * */
-const showCenterModalNotification = (data) => {
-	// Destructuring the data object to get the required properties.
-	// Default value for isMobile is set to false.
-	const {
-		isMobile = false,
-		title,
-		description,
-		imageUrl,
-		fontFamily,
-		titleColor,
-		descriptionColor,
-		primaryButtonBackground,
-		primaryButtonFontColor,
-		secondaryButtonBackground,
-		secondaryButtonFontColor,
-		themeBackground,
-		crossButtonColor,
-		primaryButtonLabel,
-		primaryButtonAction,
-		primaryButtonSwitch,
-		secondaryButtonLabel,
-		secondaryButtonAction,
-		secondaryButtonSwitch,
-		CDID,
-		commId,
-	} = data;
+ * The icon of the cross button that closes the on-site notifications.
+ */
+const CROSS_ICON_SVG =
+	'  <svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false" version="1.1" viewBox="0 0 16 16" width="25" height="25" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"> <path d="m10.25 5.75-4.5 4.5m0-4.5 4.5 4.5"/> <circle cx="8" cy="8" r="6.25"/> </svg>';
 
-	// Logging the data for debugging purposes.
-	console.log('modal data', data);
+/**
+ * The tags allowed in the rich text of the on-site notifications, basic formatting only.
+ */
+const ALLOWED_HTML_TAGS = [
+	'b',
+	'strong',
+	'i',
+	'em',
+	'u',
+	's',
+	'small',
+	'sub',
+	'sup',
+	'br',
+	'p',
+	'span',
+	'a',
+];
 
-	// Creating a container div and setting its style attributes.
-	const container = document.createElement('div');
-	container.setAttribute(
-		'style',
-		`z-index:10000;display:flex;justify-content:center;align-items:center;height:100%;background-color:rgba(0, 0, 0, 0.3);font-family: ${fontFamily};position:fixed;top:0;left:0;width:100%;z-index:10000;`
-	);
+/**
+ * Tags removed together with their content, the other tags that are not allowed are unwrapped and keep their text.
+ */
+const REMOVED_HTML_TAGS = [
+	'script',
+	'style',
+	'iframe',
+	'object',
+	'embed',
+	'template',
+	'noscript',
+	'svg',
+	'math',
+	'textarea',
+	'select',
+];
 
-	// Creating a card div and setting its style attributes.
-	const card = document.createElement('div');
-	card.setAttribute(
-		'style',
-		`padding:1.5rem;width:21rem;background-color:${themeBackground};position:relative`
-	);
-	// If the device is mobile, adjust the margin of the card.
-	if (isMobile) {
-		card.setAttribute(
-			'style',
-			`padding:1.5rem;width:21rem;background-color:${themeBackground};position:relative;margin:1.5rem`
-		);
+/**
+ * Reports content removed by the sanitizer, only in debug mode.
+ *
+ * @param {string} message - The description of the violation.
+ */
+const reportSanitizerViolation = (message) => {
+	if (swan.debug) {
+		console.warn(`${swan.app_name}-unsafe notification content: ${message}`);
 	}
-	// Appending the card to the container.
-	container.appendChild(card);
+};
 
-	// Creating a cross div and setting its style attributes.
-	const cross = document.createElement('div');
-	cross.setAttribute(
-		'style',
-		`position:absolute;top:-0.8rem;right:-0.8rem;color:${crossButtonColor};cursor:pointer;`
-	);
+/**
+ * Checks a URL of the notification content, only http(s) and relative URLs are allowed.
+ *
+ * @param {string} url - The URL to check.
+ * @returns {string} The URL, or an empty string when it is not allowed.
+ */
+const sanitizeUrl = (url) => {
+	if (url === undefined || url === null) return '';
+	const value = String(url).trim();
+	if (!value) return '';
 
-	// Setting the innerHTML of the cross div to an SVG.
-	cross.innerHTML =
-		'  <svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 16 16" width="25" height="25" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"> <path d="m10.25 5.75-4.5 4.5m0-4.5 4.5 4.5"/> <circle cx="8" cy="8" r="6.25"/> </svg>';
+	// browsers ignore control characters and whitespace in the scheme, e.g. 'java\tscript:'
+	const scheme = value
+		.replace(/[\u0000-\u0020\u007f]/g, '')
+		.match(/^([a-z][a-z0-9+.-]*):/i);
+	if (scheme && !['http', 'https'].includes(scheme[1].toLowerCase())) {
+		reportSanitizerViolation(`removed url with scheme ${scheme[1]}`);
+		return '';
+	}
+	return value;
+};
 
-	// Appending the cross to the card.
-	card.appendChild(cross);
-	// Adding an event listener to the cross. On click, the container's display is set to none.
-	cross.addEventListener(
-		'click',
-		() => {
-			container.setAttribute('style', 'display:none;');
-		},
-		false
+/**
+ * Checks a color of the notification design before it goes into a style, so that it can't add declarations of its own.
+ * Hex colors, rgb(), rgba(), hsl() and hsla() with numbers, and color names are allowed.
+ *
+ * @param {string} color - The color to check.
+ * @returns {string} The color, or an empty string when it is not allowed.
+ */
+const sanitizeColor = (color) => {
+	if (color === undefined || color === null) return '';
+	const value = String(color).trim();
+	if (
+		!value ||
+		/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ||
+		/^(?:rgb|hsl)a?\([\d\s.,%/+-]*\)$/i.test(value) ||
+		/^[a-z]+$/i.test(value)
+	) {
+		return value;
+	}
+	reportSanitizerViolation(`removed color ${value}`);
+	return '';
+};
+
+/**
+ * Checks the font family of the notification design before it goes into a style.
+ * A comma separated list of font names is allowed, each of them plain or in quotes, e.g. 'Open Sans', Arial, sans-serif.
+ *
+ * @param {string} fontFamily - The font family to check.
+ * @returns {string} The font family, or an empty string when it is not allowed.
+ */
+const sanitizeFontFamily = (fontFamily) => {
+	if (fontFamily === undefined || fontFamily === null) return '';
+	const value = String(fontFamily).trim();
+	const fontName = /^(?:"[\w -]+"|'[\w -]+'|[a-z][\w -]*)$/i;
+	if (!value || value.split(',').every((name) => fontName.test(name.trim()))) {
+		return value;
+	}
+	reportSanitizerViolation(`removed font family ${value}`);
+	return '';
+};
+
+/**
+ * Sanitizes the rich text of the notification content with an allowlist.
+ * Only basic formatting tags are kept, every attribute is removed except the href of links, which goes through sanitizeUrl.
+ *
+ * @param {string} html - The html to sanitize.
+ * @returns {string} The sanitized html.
+ */
+const sanitizeHtml = (html) => {
+	if (html === undefined || html === null) return '';
+	// The content of a template is inert, scripts don't run and images don't load while it is parsed
+	const template = document.createElement('template');
+	template.innerHTML = String(html);
+
+	const sanitizeChildren = (node) => {
+		[...node.childNodes].forEach((child) => {
+			if (child.nodeType === Node.TEXT_NODE) return;
+			if (child.nodeType !== Node.ELEMENT_NODE) {
+				child.remove();
+				return;
+			}
+
+			const tag = child.tagName.toLowerCase();
+			if (!ALLOWED_HTML_TAGS.includes(tag)) {
+				reportSanitizerViolation(`removed <${tag}>`);
+				if (REMOVED_HTML_TAGS.includes(tag)) {
+					child.remove();
+				} else {
+					sanitizeChildren(child);
+					child.replaceWith(...child.childNodes);
+				}
+				return;
+			}
+
+			[...child.attributes].forEach(({ name, value }) => {
+				if (tag === 'a' && name === 'href' && sanitizeUrl(value)) {
+					child.setAttribute('href', sanitizeUrl(value));
+					return;
+				}
+				reportSanitizerViolation(`removed attribute ${name} of <${tag}>`);
+				child.removeAttribute(name);
+			});
+			if (tag === 'a') {
+				child.setAttribute('target', '_blank');
+				child.setAttribute('rel', 'noopener noreferrer');
+			}
+			sanitizeChildren(child);
+		});
+	};
+	sanitizeChildren(template.content);
+	return template.innerHTML;
+};
+
+/**
+ * The styles of the shadow root of the on-site notifications.
+ * The elements get consistent defaults, whatever global rules and resets the page uses.
+ */
+const NOTIFICATION_STYLES = `
+	*, *::before, *::after {
+		box-sizing: border-box;
+	}
+	div, span, a, img, svg {
+		margin: 0;
+		border: 0;
+		font: inherit;
+		vertical-align: baseline;
+	}
+	a {
+		cursor: pointer;
+	}
+	img {
+		display: block;
+		max-width: 100%;
+	}
+	svg {
+		display: block;
+	}
+	button {
+		margin: 0;
+		padding: 0;
+		border: 0;
+		background: none;
+		color: inherit;
+		font: inherit;
+		cursor: pointer;
+	}
+	a:focus-visible, button:focus-visible {
+		outline: 2px solid currentColor;
+		outline-offset: 2px;
+	}
+	[role='dialog']:focus {
+		outline: none;
+	}
+	@media (prefers-reduced-motion: reduce) {
+		*, *::before, *::after {
+			transition: none !important;
+			animation: none !important;
+		}
+	}
+`;
+
+/**
+ * Creates the element hosting an on-site notification, with its own shadow root.
+ * The styles of the page don't apply inside the shadow root, and the inline styles of the notification don't leak out of it.
+ *
+ * @returns {{ host: HTMLElement, root: ShadowRoot | HTMLElement }} The host to append to the page, and the root to render the notification in.
+ */
+const createNotificationRoot = () => {
+	const host = document.createElement('div');
+	host.setAttribute('data-swan-notification', '');
+	// Resetting the host so that the notification doesn't inherit fonts, colors etc. from the page
+	host.setAttribute('style', 'all:initial !important;');
+
+	// Browsers without Shadow DOM get the notification rendered in the host, with its inline styles only
+	if (!host.attachShadow) return { host, root: host };
+
+	const root = host.attachShadow({ mode: 'open' });
+	const style = document.createElement('style');
+	style.textContent = NOTIFICATION_STYLES;
+	root.appendChild(style);
+	return { host, root };
+};
+
+/**
+ * Sends an acknowledgement of an on-site notification to the swan server, through the service worker.
+ *
+ * @param {string} CDID - The CDID of the notification.
+ * @param {string} commId - The commId of the notification.
+ * @param {string} event - The acknowledged event, e.g. 'clicked'.
+ * @param {string} [sessionId] - The session the notification was chosen for, the current one when missing.
+ * @returns {Promise<void>} A promise that resolves when the message has been posted.
+ */
+const sendOnSiteAck = async (CDID, commId, event, sessionId) => {
+	// Send Message only when service worker is ready
+	const registration = await navigator.serviceWorker.ready;
+	if (registration) {
+		registration.active.postMessage({
+			purpose: 'send-ack-to-api',
+			CDID,
+			commId,
+			event,
+			sessionId: sessionId || swan.getNotificationSessionId(),
+		});
+	}
+};
+
+/**
+ * Object for managing the overlay on-site notifications, so that only one of them is on screen at a time.
+ * The ones coming while another is shown are queued by priority, or discarded, depending on swan.notificationQueuePolicy.
+ *
+ * @namespace NotificationQueueSwan
+ */
+const NotificationQueueSwan = {
+	current: null,
+	queue: [],
+
+	/**
+	 * Shows a notification now if nothing else is shown, otherwise queues or discards it.
+	 * A notification already shown or queued is not added again.
+	 *
+	 * @param {{ commId: string, priority: number, displayIn: (string|Object), show: Function }} entry - The notification, higher priorities are shown first.
+	 */
+	enqueue(entry) {
+		if (
+			(this.current && this.current.commId === entry.commId) ||
+			this.queue.some((queued) => queued.commId === entry.commId)
+		) {
+			return;
+		}
+		if (!this.current) {
+			this.showEntry(entry);
+			return;
+		}
+		if (swan.notificationQueuePolicy === 'discard') {
+			console.log(
+				`${swan.app_name}-on-site notification ${entry.commId} discarded, another one is shown`
+			);
+			return;
+		}
+		// sorting is stable, so the notifications of the same priority keep their order
+		this.queue.push(entry);
+		this.queue.sort((a, b) => b.priority - a.priority);
+	},
+
+	/**
+	 * Renders a notification and keeps it as the one on screen.
+	 * A notification that fails to render gives its place to the next one, instead of blocking the queue.
+	 *
+	 * @param {{ commId: string, show: Function }} entry - The notification.
+	 */
+	showEntry(entry) {
+		this.current = entry;
+		try {
+			entry.show();
+		} catch (error) {
+			console.error(
+				`${swan.app_name}-failed to show on-site notification ${entry.commId}:`,
+				error
+			);
+			this.closed(entry.commId);
+		}
+	},
+
+	/**
+	 * Called when a notification is closed, shows the next one that still targets the page.
+	 *
+	 * @param {string} commId - The commId of the closed notification.
+	 */
+	closed(commId) {
+		if (!this.current || this.current.commId !== commId) return;
+		this.current = null;
+		while (this.queue.length) {
+			const next = this.queue.shift();
+			if (SwanShared.matchesDisplayIn(next.displayIn, window.location.href)) {
+				this.showEntry(next);
+				return;
+			}
+		}
+	},
+
+	/**
+	 * Drops the queued notifications, the one on screen stays.
+	 */
+	clear() {
+		this.queue = [];
+	},
+
+	/**
+	 * Drops the queued notifications that have been revoked by the server.
+	 *
+	 * @param {Array<string>} commIds - The commIds of the revoked notifications.
+	 */
+	revoke(commIds) {
+		this.queue = this.queue.filter((entry) => !commIds.includes(entry.commId));
+	},
+};
+
+/**
+ * The share of an on-site notification that has to be on screen for it to count as visible.
+ */
+const VIEWABLE_RATIO = 0.5;
+
+/**
+ * Tracks an on-site notification from the moment it is rendered until it goes away, and acknowledges each step to the swan server.
+ * 'showed' is sent once the notification is in the page, 'viewed' once it has been visible for swan.notificationViewTime,
+ * and the event it is closed with, e.g. 'clicked', 'dismissed' or 'autoClosed'.
+ *
+ * @param {Object} options - The options of the notification.
+ * @param {string} options.CDID - The CDID of the notification.
+ * @param {string} options.commId - The commId of the notification.
+ * @param {string} options.sessionId - The session the notification was chosen for, its display is recorded for it.
+ * @param {number} options.autoCloseAfter - Seconds after which the notification closes by itself, 0 to keep it open.
+ * @param {Function} options.onClose - Removes the notification from the page.
+ * @returns {{ close: Function, mounted: Function }} close removes the notification once and acknowledges the event passed to it,
+ * mounted is called with the visible element of the notification once it is in the document.
+ */
+const createNotificationLifecycle = ({
+	CDID,
+	commId,
+	sessionId,
+	autoCloseAfter,
+	onClose,
+}) => {
+	let closed = false;
+	let observer = null;
+	let viewTimer = null;
+	let autoCloseTimer = null;
+
+	const close = (event) => {
+		if (closed) return;
+		closed = true;
+		swan.renderedNotifications[commId] = (
+			swan.renderedNotifications[commId] || []
+		).filter((closeNotification) => closeNotification !== close);
+		clearTimeout(viewTimer);
+		clearTimeout(autoCloseTimer);
+		if (observer) observer.disconnect();
+		onClose();
+		if (event) sendOnSiteAck(CDID, commId, event);
+		// the next overlay in the queue takes its place
+		NotificationQueueSwan.closed(commId);
+	};
+
+	const mounted = (element) => {
+		// the notification may have been closed before it was filled, e.g. revoked
+		if (closed) return;
+		sendOnSiteAck(CDID, commId, 'showed', sessionId);
+		// an inline notification can be rendered in several slots at once
+		swan.renderedNotifications[commId] = [
+			...(swan.renderedNotifications[commId] || []),
+			close,
+		];
+
+		if (autoCloseAfter > 0) {
+			autoCloseTimer = setTimeout(
+				() => close('autoClosed'),
+				autoCloseAfter * 1000
+			);
+		}
+
+		// Without IntersectionObserver there is no way to tell whether the notification was seen, so 'viewed' is never sent.
+		if (!('IntersectionObserver' in window)) return;
+		observer = new IntersectionObserver(
+			(entries) => {
+				const isVisible = entries.some(
+					(entry) =>
+						entry.isIntersecting && entry.intersectionRatio >= VIEWABLE_RATIO
+				);
+				if (isVisible && !viewTimer) {
+					viewTimer = setTimeout(() => {
+						observer.disconnect();
+						sendOnSiteAck(CDID, commId, 'viewed');
+					}, swan.notificationViewTime);
+				} else if (!isVisible) {
+					// The notification has to stay visible for the whole time, the count starts over when it leaves the screen.
+					clearTimeout(viewTimer);
+					viewTimer = null;
+				}
+			},
+			{ threshold: [0, VIEWABLE_RATIO] }
+		);
+		observer.observe(element);
+	};
+
+	return { close, mounted };
+};
+
+/**
+ * Creates a button of an on-site notification, a link that opens its action in a new tab.
+ *
+ * @param {Object} options - The options of the button.
+ * @param {string} options.label - The label of the button.
+ * @param {string} options.action - The url opened by the button.
+ * @param {string} options.style - The inline style of the button.
+ * @param {Function} options.onClick - Called when the button is clicked.
+ * @returns {HTMLAnchorElement} The button.
+ */
+const createNotificationButton = ({ label, action, style, onClick }) => {
+	const button = document.createElement('a');
+	button.setAttribute('style', style);
+	if (action) {
+		button.setAttribute('href', `${action}`);
+		button.setAttribute('target', '_blank');
+	} else {
+		// Without an href the link is not focusable, so it is made a keyboard-operable button.
+		button.setAttribute('role', 'button');
+		button.setAttribute('tabindex', '0');
+		button.addEventListener(
+			'keydown',
+			(event) => {
+				if (event.key === 'Enter' || event.key === ' ') {
+					event.preventDefault();
+					button.click();
+				}
+			},
+			false
+		);
+	}
+
+	const buttonSpan = document.createElement('span');
+	buttonSpan.setAttribute('style', 'display:flex;justify-content:center');
+	buttonSpan.innerHTML = label;
+	button.appendChild(buttonSpan);
+
+	button.addEventListener('click', onClick, false);
+	return button;
+};
+
+/**
+ * Creates the cross button that closes an on-site notification.
+ *
+ * @param {string} style - The inline style of the cross.
+ * @param {Function} onClick - Called when the cross is clicked.
+ * @returns {HTMLButtonElement} The cross button.
+ */
+const createCrossButton = (style, onClick) => {
+	const cross = document.createElement('button');
+	cross.setAttribute('type', 'button');
+	cross.setAttribute('aria-label', 'Close notification');
+	cross.setAttribute('style', `cursor:pointer;${style}`);
+	cross.innerHTML = CROSS_ICON_SVG;
+	cross.addEventListener('click', onClick, false);
+	return cross;
+};
+
+/**
+ * The elements of an on-site notification that can receive the focus.
+ */
+const FOCUSABLE_SELECTOR =
+	'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Inserts an on-site notification whose container is a live region into the page.
+ * Screen readers only announce what is added to a live region already in the page, not the content it is inserted with,
+ * so the container goes in empty and gets its content on the next frame.
+ *
+ * @param {Object} options - The parts of the notification.
+ * @param {HTMLElement} options.host - The host of the shadow root, added to the body of the document.
+ * @param {ShadowRoot} options.root - The shadow root the container goes in.
+ * @param {HTMLElement} options.container - The live region, with the content of the notification.
+ * @param {Function} options.onFilled - Called once the content is in the live region.
+ */
+const insertLiveRegion = ({ host, root, container, onFilled }) => {
+	const content = [...container.childNodes];
+	content.forEach((node) => node.remove());
+	root.appendChild(container);
+	document.body.appendChild(host);
+	window.requestAnimationFrame(() => {
+		container.append(...content);
+		onFilled();
+	});
+};
+
+/**
+ * Closes an on-site notification when Escape is pressed while the focus is inside it.
+ *
+ * @param {HTMLElement} element - The element of the notification.
+ * @param {Function} onEscape - Called when Escape is pressed.
+ */
+const closeOnEscape = (element, onEscape) => {
+	element.addEventListener(
+		'keydown',
+		(event) => {
+			if (event.key === 'Escape') {
+				event.stopPropagation();
+				onEscape();
+			}
+		},
+		false
+	);
+};
+
+/**
+ * Opens a modal on-site notification, once it is in the document.
+ * The focus is moved into the dialog and kept there, and Escape closes it.
+ *
+ * @param {HTMLElement} dialog - The element of the dialog.
+ * @param {Function} onEscape - Called when Escape is pressed.
+ * @returns {Function} Releases the dialog, and gives the focus back to the element that had it before.
+ */
+const openModalDialog = (dialog, onEscape) => {
+	const previouslyFocused = document.activeElement;
+	const focusables = () =>
+		Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR));
+
+	const onKeydown = (event) => {
+		if (event.key === 'Escape') {
+			event.preventDefault();
+			event.stopPropagation();
+			onEscape();
+			return;
+		}
+		if (event.key !== 'Tab') {
+			return;
+		}
+
+		// The focused element is inside the shadow root, so it is looked up from the root of the dialog.
+		const elements = focusables();
+		const active = dialog.getRootNode().activeElement;
+		if (elements.length === 0) {
+			event.preventDefault();
+			dialog.focus();
+			return;
+		}
+		const first = elements[0];
+		const last = elements[elements.length - 1];
+		if (event.shiftKey && (active === first || !dialog.contains(active))) {
+			event.preventDefault();
+			last.focus();
+		} else if (
+			!event.shiftKey &&
+			(active === last || !dialog.contains(active))
+		) {
+			event.preventDefault();
+			first.focus();
+		}
+	};
+	document.addEventListener('keydown', onKeydown, true);
+
+	dialog.setAttribute('tabindex', '-1');
+	(focusables()[0] || dialog).focus();
+
+	return () => {
+		document.removeEventListener('keydown', onKeydown, true);
+		if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+			previouslyFocused.focus();
+		}
+	};
+};
+
+/**
+ * This function is used to show a modal notification in the center of the screen.
+ * @param {Object} data - The data object containing various properties for the modal notification.
+ * */
+const showCenterModalNotification = (data) => {
+	// Destructuring the data object to get the required properties.
+	// Default value for isMobile is set to false.
+	const {
+		isMobile = false,
+		title,
+		description,
+		imageUrl,
+		fontFamily,
+		titleColor,
+		descriptionColor,
+		primaryButtonBackground,
+		primaryButtonFontColor,
+		secondaryButtonBackground,
+		secondaryButtonFontColor,
+		themeBackground,
+		crossButtonColor,
+		primaryButtonLabel,
+		primaryButtonAction,
+		primaryButtonSwitch,
+		secondaryButtonLabel,
+		secondaryButtonAction,
+		secondaryButtonSwitch,
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+	} = data;
+
+	// Logging the data for debugging purposes.
+	console.log('modal data', data);
+
+	// Creating the shadow root the notification is rendered in, isolated from the styles of the page.
+	const { host, root } = createNotificationRoot();
+
+	// Creating a container div and setting its style attributes.
+	const container = document.createElement('div');
+	container.setAttribute(
+		'style',
+		`z-index:${swan.notificationZIndex};display:flex;justify-content:center;align-items:center;height:100%;background-color:rgba(0, 0, 0, 0.3);font-family: ${fontFamily};position:fixed;top:0;left:0;width:100%;z-index:${swan.notificationZIndex};`
+	);
+
+	// Creating a card div and setting its style attributes.
+	// The card is the dialog, labelled by the title and described by the description.
+	const card = document.createElement('div');
+	card.setAttribute(
+		'style',
+		`padding:1.5rem;width:21rem;background-color:${themeBackground};position:relative`
+	);
+	// If the device is mobile, adjust the margin of the card.
+	if (isMobile) {
+		card.setAttribute(
+			'style',
+			`padding:1.5rem;width:21rem;background-color:${themeBackground};position:relative;margin:1.5rem`
+		);
+	}
+	card.setAttribute('role', 'dialog');
+	card.setAttribute('aria-modal', 'true');
+	card.setAttribute('aria-labelledby', 'swan-notification-title');
+	if (description) {
+		card.setAttribute('aria-describedby', 'swan-notification-description');
+	}
+	// Appending the card to the container.
+	container.appendChild(card);
+
+	// Removes the notification, and gives the focus back to the page.
+	let releaseDialog = () => {};
+	const { close, mounted } = createNotificationLifecycle({
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		onClose: () => {
+			host.remove();
+			releaseDialog();
+		},
+	});
+
+	// Appending the cross to the card. On click, the notification is dismissed.
+	card.appendChild(
+		createCrossButton(
+			`position:absolute;top:-0.8rem;right:-0.8rem;color:${crossButtonColor};`,
+			() => close('dismissed')
+		)
+	);
+
+	// Clicking the backdrop around the card dismisses the notification.
+	container.addEventListener(
+		'click',
+		(event) => {
+			if (event.target === container) close('dismissed');
+		},
+		false
 	);
 
 	// If an imageUrl is provided, create an imageContainer div and append an image to it.
@@ -723,6 +2774,7 @@ const showCenterModalNotification = (data) => {
 		imageContainer.setAttribute('style', 'width:100%;height:10rem;');
 		const image = document.createElement('img');
 		image.setAttribute('src', `${imageUrl}`);
+		image.setAttribute('alt', '');
 		image.setAttribute(
 			'style',
 			'width:inherit;height:inherit;object-fit:contain;'
@@ -748,6 +2800,7 @@ const showCenterModalNotification = (data) => {
 
 	// Creating a titleSpan, setting its style attributes and innerHTML, and appending it to the titleContainer.
 	const titleSpan = document.createElement('span');
+	titleSpan.setAttribute('id', 'swan-notification-title');
 	titleSpan.setAttribute(
 		'style',
 		`display:inline-block;white-space: nowrap;overflow: hidden;text-overflow: ellipsis;max-width: 18ch;font-size:1.4rem;font-weight:500;color: ${titleColor}`
@@ -764,6 +2817,7 @@ const showCenterModalNotification = (data) => {
 			'display:flex;justify-content:center;margin-top:0.5rem;'
 		);
 		const descriptionSpan = document.createElement('span');
+		descriptionSpan.setAttribute('id', 'swan-notification-description');
 		descriptionSpan.setAttribute(
 			'style',
 			`line-height: 1.4;word-wrap: break-word;text-overflow: ellipsis;overflow: hidden;display: -webkit-box;-webkit-line-clamp: 3;-webkit-box-orient: vertical;font-size:1.1rem;font-weight:400;text-align:center;color:${descriptionColor}`
@@ -781,88 +2835,45 @@ const showCenterModalNotification = (data) => {
 			'margin-top:1.5rem;display:flex;justify-content:space-between'
 		);
 
+		// On click of a button, the notification is removed and the click is acknowledged.
+		const onClick = () => close('clicked');
+
 		// If primaryButtonSwitch is true, create a primaryButton and append it to the buttonContainer.
 		if (primaryButtonSwitch) {
-			const primaryButton = document.createElement('a');
-			primaryButton.setAttribute(
-				'style',
-				`text-decoration:none;padding:0.8rem;height:1rem;width:100%;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`
-			);
-			primaryButton.setAttribute('href', `${primaryButtonAction}`);
-			primaryButton.setAttribute('target', '_blank');
-			const primaryButtonSpan = document.createElement('span');
-			primaryButtonSpan.setAttribute(
-				'style',
-				'display:flex;justify-content:center'
-			);
-			primaryButtonSpan.innerHTML = primaryButtonLabel;
-
-			// Adding an event listener to the primaryButton. On click, the container's display is set to none.
-			primaryButton.addEventListener(
-				'click',
-				async () => {
-					container.setAttribute('style', 'display:none;');
-
-					// Send Message only when service worker is ready
-					const registration = await navigator.serviceWorker.ready;
-					if (registration) {
-						registration.active.postMessage({
-							purpose: 'send-ack-to-api',
-							CDID,
-							commId,
-							event: 'clicked',
-						});
-					}
-				},
-				false
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: primaryButtonLabel,
+					action: primaryButtonAction,
+					style: `text-decoration:none;padding:0.8rem;height:1rem;width:100%;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`,
+					onClick,
+				})
 			);
-			primaryButton.appendChild(primaryButtonSpan);
-			buttonContainer.appendChild(primaryButton);
 		}
 
 		// If secondaryButtonSwitch is true, create a secondaryButton and append it to the buttonContainer.
 		if (secondaryButtonSwitch) {
-			const secondaryButton = document.createElement('a');
-			secondaryButton.setAttribute(
-				'style',
-				`text-decoration:none;padding:0.8rem;height:1rem;width:100%;margin-left:20px;background-color:${secondaryButtonBackground};color:${secondaryButtonFontColor};`
-			);
-			secondaryButton.setAttribute('href', `${secondaryButtonAction}`);
-			secondaryButton.setAttribute('target', '_blank');
-			secondaryButton.addEventListener(
-				'click',
-				async () => {
-					container.setAttribute('style', 'display:none;');
-
-					// Send Message only when service worker is ready
-					const registration = await navigator.serviceWorker.ready;
-					if (registration) {
-						registration.active.postMessage({
-							purpose: 'send-ack-to-api',
-							CDID,
-							commId,
-							event: 'clicked',
-						});
-					}
-				},
-				false
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: secondaryButtonLabel,
+					action: secondaryButtonAction,
+					style: `text-decoration:none;padding:0.8rem;height:1rem;width:100%;margin-left:20px;background-color:${secondaryButtonBackground};color:${secondaryButtonFontColor};`,
+					onClick,
+				})
 			);
-
-			const secondaryButtonSpan = document.createElement('span');
-			secondaryButtonSpan.setAttribute(
-				'style',
-				'display:flex;justify-content:center'
-			);
-			secondaryButtonSpan.innerHTML = secondaryButtonLabel;
-			secondaryButton.appendChild(secondaryButtonSpan);
-			buttonContainer.appendChild(secondaryButton);
-		}
+		}
 
 		card.appendChild(buttonContainer);
 	}
 
-	// Appending the container to the body of the document.
-	document.body.appendChild(container);
+	// Appending the container to its shadow root, and the host to the body of the document.
+	root.appendChild(container);
+	document.body.appendChild(host);
+
+	// Moving the focus into the dialog, Escape closes it.
+	releaseDialog = openModalDialog(card, () => close('dismissed'));
+
+	// Reporting the notification as shown, and watching whether it is viewed.
+	mounted(card);
 };
 
 /**
@@ -911,14 +2922,49 @@ const showHeaderNotification = (data) => {
 		primaryButtonLabel,
 		primaryButtonAction,
 		primaryButtonSwitch,
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
 	} = data;
 
+	// Creating the shadow root the notification is rendered in, isolated from the styles of the page.
+	const { host, root } = createNotificationRoot();
+
 	// Creating a container div and setting its style attributes.
+	// The bar is a landmark whose content is announced by screen readers, Escape closes it while it has the focus.
 	const container = document.createElement('div');
 	container.setAttribute(
 		'style',
-		`position: fixed;top:0rem;left:0rem;width:100%;z-index:10000;font-family: ${fontFamily};`
+		`position: fixed;top:0rem;left:0rem;width:100%;z-index:${swan.notificationZIndex};font-family: ${fontFamily};`
 	);
+	container.setAttribute('role', 'region');
+	container.setAttribute('aria-label', 'Notification');
+	container.setAttribute('aria-live', 'polite');
+
+	// Removes the notification, and adjusts the padding-top of the body back.
+	const { close, mounted } = createNotificationLifecycle({
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		onClose: () => {
+			host.remove();
+
+			// Get the current padding-top value in pixels and convert it to rem
+			const currentPaddingTopInPx2 = parseFloat(
+				window.getComputedStyle(body, null).getPropertyValue('padding-top')
+			);
+			const currentPaddingTopInRem2 = currentPaddingTopInPx2 / bodyFontSize;
+
+			// Calculate the new padding-top value
+			const newPaddingTop2 = currentPaddingTopInRem2 - 4; // subtracting 4rem
+
+			// Set the new padding-top value
+			body.style.paddingTop = `${newPaddingTop2}rem`;
+		},
+	});
+	closeOnEscape(container, () => close('dismissed'));
 
 	// Creating a card div and setting its style attributes.
 	const card = document.createElement('div');
@@ -933,168 +2979,1101 @@ const showHeaderNotification = (data) => {
 		const imageContainer = document.createElement('div');
 		imageContainer.setAttribute('style', 'width:6rem;height:2.5rem;');
 
-		if (isMobile) {
-			imageContainer.setAttribute('style', 'width:4rem;height:2rem');
+		if (isMobile) {
+			imageContainer.setAttribute('style', 'width:4rem;height:2rem');
+		}
+
+		const image = document.createElement('img');
+		image.setAttribute('src', `${imageUrl}`);
+		image.setAttribute('alt', '');
+		image.setAttribute(
+			'style',
+			'width:inherit;height:inherit;object-fit:contain;'
+		);
+		imageContainer.appendChild(image);
+		card.appendChild(imageContainer);
+	}
+
+	// Creating a descriptionContainer div and setting its style attributes.
+	const descriptionContainer = document.createElement('div');
+	descriptionContainer.setAttribute(
+		'style',
+		'display:flex;justify-content:start;max-width:70%;margin-left:3rem;margin-right:3rem;'
+	);
+
+	if (isMobile) {
+		descriptionContainer.setAttribute(
+			'style',
+			'display:flex;justify-content:start;max-width:70%;margin-left:1rem;margin-right:1rem;'
+		);
+	}
+
+	// Creating a descriptionSpan, setting its style attributes and innerHTML, and appending it to the descriptionContainer.
+	const descriptionSpan = document.createElement('span');
+	descriptionSpan.setAttribute(
+		'style',
+		` line-height: 1.4;
+				 word-wrap: break-word;
+				 text-overflow: ellipsis;
+				 overflow: hidden;
+				 display: -webkit-box;
+				 -webkit-line-clamp: 2;
+				 -webkit-box-orient: vertical;
+				 font-size:1rem;
+				 font-weight:400;
+				 text-align:left;color:${descriptionColor}`
+	);
+	descriptionSpan.innerHTML = description;
+	descriptionContainer.appendChild(descriptionSpan);
+	card.appendChild(descriptionContainer);
+
+	// If primaryButtonSwitch is true, create a buttonContainer div and append a primaryButton to it.
+	if (primaryButtonSwitch) {
+		const buttonContainer = document.createElement('div');
+		buttonContainer.setAttribute(
+			'style',
+			'display:flex;justify-content:space-between'
+		);
+
+		// On click of the primaryButton, the notification is removed and the click is acknowledged.
+		buttonContainer.appendChild(
+			createNotificationButton({
+				label: primaryButtonLabel,
+				action: primaryButtonAction,
+				style: isMobile
+					? `text-decoration:none;padding:0.3rem 0.5rem;background-color:${primaryButtonBackground};color:${primaryButtonFontColor};margin-right:0.5rem;`
+					: `text-decoration:none;padding:0.3rem 0.7rem;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`,
+				onClick: () => close('clicked'),
+			})
+		);
+
+		card.appendChild(buttonContainer);
+	}
+
+	// Appending the cross to the card. On click, the notification is removed and the padding-top of the body is adjusted.
+	card.appendChild(
+		createCrossButton(
+			`margin-left:auto;margin-right:0.5rem;color:${crossButtonColor};`,
+			() => close('dismissed')
+		)
+	);
+
+	// Appending the container to its shadow root and the host to the body of the document, then its content for it to be announced.
+	// Reporting the notification as shown once it is filled, and watching whether it is viewed.
+	insertLiveRegion({
+		host,
+		root,
+		container,
+		onFilled: () => mounted(container),
+	});
+};
+
+/**
+ * This function is used to show a sticky bar notification at the bottom of the screen.
+ * The bottom padding of the body is increased while it is shown, so that it doesn't cover the end of the page.
+ * @param {Object} data - The data object containing various properties for the footer notification.
+ * */
+const showFooterNotification = (data) => {
+	// Destructuring the data object to get the required properties.
+	// Default value for isMobile is set to false.
+	const {
+		isMobile = false,
+		description,
+		imageUrl,
+		fontFamily,
+		descriptionColor,
+		primaryButtonBackground,
+		primaryButtonFontColor,
+		themeBackground,
+		crossButtonColor,
+		primaryButtonLabel,
+		primaryButtonAction,
+		primaryButtonSwitch,
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+	} = data;
+
+	const { body } = document;
+	const previousPaddingBottom = body.style.paddingBottom;
+	const currentPaddingBottomInPx = parseFloat(
+		window.getComputedStyle(body, null).getPropertyValue('padding-bottom')
+	);
+	body.style.paddingBottom = `calc(${currentPaddingBottomInPx}px + 4rem)`;
+
+	// Creating the shadow root the notification is rendered in, isolated from the styles of the page.
+	const { host, root } = createNotificationRoot();
+
+	// Creating a container div and setting its style attributes.
+	const container = document.createElement('div');
+	container.setAttribute(
+		'style',
+		`position:fixed;bottom:0rem;left:0rem;width:100%;z-index:${swan.notificationZIndex};font-family: ${fontFamily};`
+	);
+	container.setAttribute('role', 'region');
+	container.setAttribute('aria-label', 'Notification');
+	container.setAttribute('aria-live', 'polite');
+
+	const { close, mounted } = createNotificationLifecycle({
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		onClose: () => {
+			host.remove();
+			body.style.paddingBottom = previousPaddingBottom;
+		},
+	});
+	closeOnEscape(container, () => close('dismissed'));
+
+	// Creating a card div and setting its style attributes.
+	const card = document.createElement('div');
+	card.setAttribute(
+		'style',
+		`padding:.5rem;position:relative;display:flex;align-items:center;background-color:${themeBackground}`
+	);
+	container.appendChild(card);
+
+	// If an imageUrl is provided, create an imageContainer div and append an image to it.
+	if (imageUrl) {
+		const imageContainer = document.createElement('div');
+		imageContainer.setAttribute(
+			'style',
+			isMobile ? 'width:4rem;height:2rem' : 'width:6rem;height:2.5rem;'
+		);
+		const image = document.createElement('img');
+		image.setAttribute('src', `${imageUrl}`);
+		image.setAttribute('alt', '');
+		image.setAttribute(
+			'style',
+			'width:inherit;height:inherit;object-fit:contain;'
+		);
+		imageContainer.appendChild(image);
+		card.appendChild(imageContainer);
+	}
+
+	// Creating a descriptionContainer div with the description.
+	const descriptionContainer = document.createElement('div');
+	descriptionContainer.setAttribute(
+		'style',
+		`display:flex;justify-content:start;max-width:70%;margin-left:${
+			isMobile ? 1 : 3
+		}rem;margin-right:${isMobile ? 1 : 3}rem;`
+	);
+	const descriptionSpan = document.createElement('span');
+	descriptionSpan.setAttribute(
+		'style',
+		`line-height:1.4;word-wrap:break-word;text-overflow:ellipsis;overflow:hidden;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;font-size:1rem;font-weight:400;text-align:left;color:${descriptionColor}`
+	);
+	descriptionSpan.innerHTML = description;
+	descriptionContainer.appendChild(descriptionSpan);
+	card.appendChild(descriptionContainer);
+
+	// If primaryButtonSwitch is true, append the primary button.
+	if (primaryButtonSwitch) {
+		card.appendChild(
+			createNotificationButton({
+				label: primaryButtonLabel,
+				action: primaryButtonAction,
+				style: `text-decoration:none;padding:0.3rem ${
+					isMobile ? 0.5 : 0.7
+				}rem;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`,
+				onClick: () => close('clicked'),
+			})
+		);
+	}
+
+	card.appendChild(
+		createCrossButton(
+			`margin-left:auto;margin-right:0.5rem;color:${crossButtonColor};`,
+			() => close('dismissed')
+		)
+	);
+
+	// Appending the container to its shadow root and the host to the body of the document, then its content for it to be announced.
+	// Reporting the notification as shown once it is filled, and watching whether it is viewed.
+	insertLiveRegion({
+		host,
+		root,
+		container,
+		onFilled: () => mounted(container),
+	});
+};
+
+/**
+ * This function is used to show a toast notification that slides in at the bottom right of the screen.
+ * It doesn't block the page, the user can keep using it while the toast is shown.
+ * @param {Object} data - The data object containing various properties for the toast notification.
+ * */
+const showToastNotification = (data) => {
+	// Destructuring the data object to get the required properties.
+	// Default value for isMobile is set to false.
+	const {
+		isMobile = false,
+		title,
+		description,
+		imageUrl,
+		fontFamily,
+		titleColor,
+		descriptionColor,
+		primaryButtonBackground,
+		primaryButtonFontColor,
+		secondaryButtonBackground,
+		secondaryButtonFontColor,
+		themeBackground,
+		crossButtonColor,
+		primaryButtonLabel,
+		primaryButtonAction,
+		primaryButtonSwitch,
+		secondaryButtonLabel,
+		secondaryButtonAction,
+		secondaryButtonSwitch,
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+	} = data;
+
+	// Creating the shadow root the notification is rendered in, isolated from the styles of the page.
+	const { host, root } = createNotificationRoot();
+
+	// Creating a container div, off screen until the slide in transition starts.
+	// On mobile the toast spans the width of the screen.
+	const position = isMobile
+		? 'bottom:0.75rem;left:0.75rem;right:0.75rem;'
+		: 'bottom:1.5rem;right:1.5rem;width:21rem;';
+	const container = document.createElement('div');
+	container.setAttribute(
+		'style',
+		`position:fixed;${position}z-index:${swan.notificationZIndex};font-family: ${fontFamily};padding:1rem;background-color:${themeBackground};box-shadow:0 0.5rem 1.5rem rgba(0, 0, 0, 0.2);border-radius:0.5rem;transform:translateX(calc(100% + 1.5rem));transition:transform 0.4s ease-out;`
+	);
+
+	container.setAttribute('role', 'region');
+	container.setAttribute('aria-label', 'Notification');
+	container.setAttribute('aria-live', 'polite');
+
+	const { close, mounted } = createNotificationLifecycle({
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		onClose: () => host.remove(),
+	});
+	closeOnEscape(container, () => close('dismissed'));
+
+	container.appendChild(
+		createCrossButton(
+			`position:absolute;top:0.5rem;right:0.5rem;color:${crossButtonColor};`,
+			() => close('dismissed')
+		)
+	);
+
+	// Creating the content row, with the image on the left of the title and description.
+	const content = document.createElement('div');
+	content.setAttribute(
+		'style',
+		'display:flex;align-items:center;gap:0.75rem;margin-right:1.5rem;'
+	);
+	container.appendChild(content);
+
+	if (imageUrl) {
+		const image = document.createElement('img');
+		image.setAttribute('src', `${imageUrl}`);
+		image.setAttribute('alt', '');
+		image.setAttribute(
+			'style',
+			'width:4rem;height:4rem;flex-shrink:0;object-fit:contain;'
+		);
+		content.appendChild(image);
+	}
+
+	const textContainer = document.createElement('div');
+	textContainer.setAttribute('style', 'min-width:0;');
+	const titleSpan = document.createElement('div');
+	titleSpan.setAttribute(
+		'style',
+		`white-space:nowrap;overflow:hidden;text-overflow:ellipsis;font-size:1.1rem;font-weight:500;color:${titleColor}`
+	);
+	titleSpan.innerHTML = title;
+	textContainer.appendChild(titleSpan);
+
+	if (description) {
+		const descriptionSpan = document.createElement('div');
+		descriptionSpan.setAttribute(
+			'style',
+			`margin-top:0.25rem;line-height:1.4;word-wrap:break-word;overflow:hidden;display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;font-size:0.95rem;color:${descriptionColor}`
+		);
+		descriptionSpan.innerHTML = description;
+		textContainer.appendChild(descriptionSpan);
+	}
+	content.appendChild(textContainer);
+
+	// If either button is switched on, append a row with the buttons.
+	if (primaryButtonSwitch || secondaryButtonSwitch) {
+		const buttonContainer = document.createElement('div');
+		buttonContainer.setAttribute(
+			'style',
+			'margin-top:1rem;display:flex;gap:0.75rem;'
+		);
+		const onClick = () => close('clicked');
+		if (primaryButtonSwitch) {
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: primaryButtonLabel,
+					action: primaryButtonAction,
+					style: `text-decoration:none;padding:0.5rem;width:100%;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`,
+					onClick,
+				})
+			);
+		}
+		if (secondaryButtonSwitch) {
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: secondaryButtonLabel,
+					action: secondaryButtonAction,
+					style: `text-decoration:none;padding:0.5rem;width:100%;background-color:${secondaryButtonBackground};color:${secondaryButtonFontColor}`,
+					onClick,
+				})
+			);
+		}
+		container.appendChild(buttonContainer);
+	}
+
+	// Appending the container to its shadow root and the host to the body of the document, then its content for it to be announced.
+	// Once filled, the toast slides in on the next frame, and is reported as shown and watched for whether it is viewed.
+	insertLiveRegion({
+		host,
+		root,
+		container,
+		onFilled: () => {
+			window.requestAnimationFrame(() => {
+				container.style.transform = 'translateX(0)';
+			});
+			mounted(container);
+		},
+	});
+};
+
+/**
+ * This function is used to show a full-screen interstitial notification, e.g. for launches.
+ * The page doesn't scroll while it is shown.
+ * @param {Object} data - The data object containing various properties for the interstitial notification.
+ * */
+const showInterstitialNotification = (data) => {
+	// Destructuring the data object to get the required properties.
+	// Default value for isMobile is set to false.
+	const {
+		isMobile = false,
+		title,
+		description,
+		imageUrl,
+		fontFamily,
+		titleColor,
+		descriptionColor,
+		primaryButtonBackground,
+		primaryButtonFontColor,
+		secondaryButtonBackground,
+		secondaryButtonFontColor,
+		themeBackground,
+		crossButtonColor,
+		primaryButtonLabel,
+		primaryButtonAction,
+		primaryButtonSwitch,
+		secondaryButtonLabel,
+		secondaryButtonAction,
+		secondaryButtonSwitch,
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+	} = data;
+
+	// Locking the scroll of the page while the interstitial is shown.
+	const { body } = document;
+	const previousOverflow = body.style.overflow;
+	body.style.overflow = 'hidden';
+
+	// Creating the shadow root the notification is rendered in, isolated from the styles of the page.
+	const { host, root } = createNotificationRoot();
+
+	// Creating a container covering the whole screen.
+	const container = document.createElement('div');
+	container.setAttribute(
+		'style',
+		`position:fixed;top:0;left:0;width:100%;height:100%;z-index:${
+			swan.notificationZIndex
+		};overflow-y:auto;box-sizing:border-box;padding:${
+			isMobile ? '3rem 1.5rem' : '4rem'
+		};display:flex;flex-direction:column;justify-content:center;align-items:center;text-align:center;font-family: ${fontFamily};background-color:${themeBackground};`
+	);
+	container.setAttribute('role', 'dialog');
+	container.setAttribute('aria-modal', 'true');
+	container.setAttribute('aria-labelledby', 'swan-notification-title');
+	if (description) {
+		container.setAttribute('aria-describedby', 'swan-notification-description');
+	}
+
+	// Removes the notification, unlocks the scroll and gives the focus back to the page.
+	let releaseDialog = () => {};
+	const { close, mounted } = createNotificationLifecycle({
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		onClose: () => {
+			host.remove();
+			body.style.overflow = previousOverflow;
+			releaseDialog();
+		},
+	});
+
+	container.appendChild(
+		createCrossButton(
+			`position:absolute;top:1rem;right:1rem;color:${crossButtonColor};`,
+			() => close('dismissed')
+		)
+	);
+
+	if (imageUrl) {
+		const image = document.createElement('img');
+		image.setAttribute('src', `${imageUrl}`);
+		image.setAttribute(
+			'style',
+			'max-width:100%;max-height:50vh;object-fit:contain;margin-bottom:1.5rem;'
+		);
+		image.setAttribute('alt', '');
+		container.appendChild(image);
+	}
+
+	const titleSpan = document.createElement('div');
+	titleSpan.setAttribute('id', 'swan-notification-title');
+	titleSpan.setAttribute(
+		'style',
+		`max-width:40rem;font-size:${
+			isMobile ? 1.6 : 2.2
+		}rem;font-weight:600;color:${titleColor}`
+	);
+	titleSpan.innerHTML = title;
+	container.appendChild(titleSpan);
+
+	if (description) {
+		const descriptionSpan = document.createElement('div');
+		descriptionSpan.setAttribute('id', 'swan-notification-description');
+		descriptionSpan.setAttribute(
+			'style',
+			`max-width:40rem;margin-top:1rem;line-height:1.5;font-size:1.2rem;color:${descriptionColor}`
+		);
+		descriptionSpan.innerHTML = description;
+		container.appendChild(descriptionSpan);
+	}
+
+	// If either button is switched on, append a row with the buttons.
+	if (primaryButtonSwitch || secondaryButtonSwitch) {
+		const buttonContainer = document.createElement('div');
+		buttonContainer.setAttribute(
+			'style',
+			'margin-top:2rem;display:flex;gap:1rem;width:100%;max-width:30rem;'
+		);
+		const onClick = () => close('clicked');
+		if (primaryButtonSwitch) {
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: primaryButtonLabel,
+					action: primaryButtonAction,
+					style: `text-decoration:none;padding:0.9rem;width:100%;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`,
+					onClick,
+				})
+			);
+		}
+		if (secondaryButtonSwitch) {
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: secondaryButtonLabel,
+					action: secondaryButtonAction,
+					style: `text-decoration:none;padding:0.9rem;width:100%;background-color:${secondaryButtonBackground};color:${secondaryButtonFontColor}`,
+					onClick,
+				})
+			);
+		}
+		container.appendChild(buttonContainer);
+	}
+
+	// Appending the container to its shadow root, and the host to the body of the document.
+	root.appendChild(container);
+	document.body.appendChild(host);
+
+	// Moving the focus into the dialog, Escape closes it.
+	releaseDialog = openModalDialog(container, () => close('dismissed'));
+
+	// Reporting the notification as shown, and watching whether it is viewed.
+	mounted(container);
+};
+
+/**
+ * Renders an inline notification into its slot, a host element marked with data-swan-slot.
+ * Unlike the other notifications it is part of the page, e.g. a banner above the product grid.
+ *
+ * @param {HTMLElement} slotElement - The element of the slot.
+ * @param {Object} data - The data object containing various properties for the inline notification.
+ */
+const renderInlineNotification = (slotElement, data) => {
+	const {
+		isMobile = false,
+		title,
+		description,
+		imageUrl,
+		fontFamily,
+		titleColor,
+		descriptionColor,
+		primaryButtonBackground,
+		primaryButtonFontColor,
+		secondaryButtonBackground,
+		secondaryButtonFontColor,
+		themeBackground,
+		crossButtonColor,
+		primaryButtonLabel,
+		primaryButtonAction,
+		primaryButtonSwitch,
+		secondaryButtonLabel,
+		secondaryButtonAction,
+		secondaryButtonSwitch,
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		slot,
+	} = data;
+
+	// Creating the shadow root the notification is rendered in, isolated from the styles of the page.
+	// The host takes the width of the slot, as a block in the flow of the page.
+	const { host, root } = createNotificationRoot();
+	host.setAttribute(
+		'style',
+		'all:initial !important;display:block !important;'
+	);
+	host.setAttribute('data-swan-comm-id', commId);
+
+	const container = document.createElement('div');
+	container.setAttribute(
+		'style',
+		`position:relative;display:flex;flex-direction:${
+			isMobile ? 'column' : 'row'
+		};align-items:center;gap:1rem;padding:1rem;font-family: ${fontFamily};background-color:${themeBackground};`
+	);
+	container.setAttribute('role', 'region');
+	container.setAttribute('aria-label', 'Notification');
+
+	// Once dismissed, the notification is not rendered again when the slot comes back.
+	const { close, mounted } = createNotificationLifecycle({
+		CDID,
+		commId,
+		sessionId,
+		autoCloseAfter,
+		onClose: () => {
+			host.remove();
+			if (swan.inlinePlacements[slot] === data) {
+				delete swan.inlinePlacements[slot];
+			}
+		},
+	});
+
+	container.appendChild(
+		createCrossButton(
+			`position:absolute;top:0.5rem;right:0.5rem;color:${crossButtonColor};`,
+			() => close('dismissed')
+		)
+	);
+
+	if (imageUrl) {
+		const image = document.createElement('img');
+		image.setAttribute('src', `${imageUrl}`);
+		image.setAttribute('alt', '');
+		image.setAttribute(
+			'style',
+			`${
+				isMobile ? 'width:100%;height:8rem;' : 'width:8rem;height:6rem;'
+			}flex-shrink:0;object-fit:contain;`
+		);
+		container.appendChild(image);
+	}
+
+	const textContainer = document.createElement('div');
+	textContainer.setAttribute(
+		'style',
+		'flex:1;min-width:0;margin-right:1.5rem;'
+	);
+	const titleSpan = document.createElement('div');
+	titleSpan.setAttribute(
+		'style',
+		`font-size:1.2rem;font-weight:500;color:${titleColor}`
+	);
+	titleSpan.innerHTML = title;
+	textContainer.appendChild(titleSpan);
+
+	if (description) {
+		const descriptionSpan = document.createElement('div');
+		descriptionSpan.setAttribute(
+			'style',
+			`margin-top:0.25rem;line-height:1.4;word-wrap:break-word;font-size:1rem;color:${descriptionColor}`
+		);
+		descriptionSpan.innerHTML = description;
+		textContainer.appendChild(descriptionSpan);
+	}
+	container.appendChild(textContainer);
+
+	// If either button is switched on, append the buttons after the text.
+	if (primaryButtonSwitch || secondaryButtonSwitch) {
+		const buttonContainer = document.createElement('div');
+		buttonContainer.setAttribute(
+			'style',
+			`display:flex;gap:0.75rem;flex-shrink:0;${isMobile ? 'width:100%;' : ''}`
+		);
+		const onClick = () => close('clicked');
+		if (primaryButtonSwitch) {
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: primaryButtonLabel,
+					action: primaryButtonAction,
+					style: `text-decoration:none;padding:0.5rem 1rem;width:100%;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`,
+					onClick,
+				})
+			);
+		}
+		if (secondaryButtonSwitch) {
+			buttonContainer.appendChild(
+				createNotificationButton({
+					label: secondaryButtonLabel,
+					action: secondaryButtonAction,
+					style: `text-decoration:none;padding:0.5rem 1rem;width:100%;background-color:${secondaryButtonBackground};color:${secondaryButtonFontColor}`,
+					onClick,
+				})
+			);
+		}
+		container.appendChild(buttonContainer);
+	}
+
+	// Appending the container to its shadow root, and the host to the slot.
+	root.appendChild(container);
+	slotElement.appendChild(host);
+
+	// Reporting the notification as shown, and watching whether it is viewed.
+	mounted(container);
+};
+
+/**
+ * Renders the inline notifications into the slots of the page that don't show them yet.
+ * The placements whose targeting doesn't match the page anymore, e.g. after a route change, are left out.
+ */
+const renderInlinePlacements = () => {
+	document.querySelectorAll('[data-swan-slot]').forEach((slotElement) => {
+		const data =
+			swan.inlinePlacements[slotElement.getAttribute('data-swan-slot')];
+		if (
+			!data ||
+			!SwanShared.matchesDisplayIn(data.displayIn, window.location.href)
+		) {
+			return;
+		}
+		const rendered = slotElement.querySelector(
+			':scope > [data-swan-notification]'
+		);
+		if (
+			rendered &&
+			rendered.getAttribute('data-swan-comm-id') === data.commId
+		) {
+			return;
+		}
+		// A newer campaign for the slot replaces the one shown in it.
+		if (rendered) rendered.remove();
+		renderInlineNotification(slotElement, data);
+	});
+};
+
+/**
+ * Stops watching the page for slots.
+ */
+const stopWatchingSlots = () => {
+	if (swan.slotScanFrame) {
+		window.cancelAnimationFrame(swan.slotScanFrame);
+		swan.slotScanFrame = null;
+	}
+	if (swan.slotObserver) {
+		swan.slotObserver.disconnect();
+		swan.slotObserver = null;
+	}
+};
+
+/**
+ * Renders the inline notifications into the slots of the page, and watches the page for the slots added later
+ * as long as there are inline notifications, as single-page apps replace the slots on their route changes.
+ */
+const watchInlineSlots = () => {
+	if (!Object.keys(swan.inlinePlacements).length) {
+		stopWatchingSlots();
+		return;
+	}
+	renderInlinePlacements();
+	if (swan.slotObserver || !('MutationObserver' in window)) return;
+
+	swan.slotObserver = new MutationObserver((mutations) => {
+		// Only added elements can be slots or contain them, and the changes of a frame are scanned together.
+		const addsElements = mutations.some((mutation) =>
+			[...mutation.addedNodes].some(
+				(node) => node.nodeType === Node.ELEMENT_NODE
+			)
+		);
+		if (!addsElements || swan.slotScanFrame) return;
+		swan.slotScanFrame = window.requestAnimationFrame(() => {
+			swan.slotScanFrame = null;
+			renderInlinePlacements();
+		});
+	});
+	swan.slotObserver.observe(document.body, {
+		childList: true,
+		subtree: true,
+	});
+};
+
+/**
+ * This function is used to show an inline notification in the slot the campaign targets.
+ * The placement is kept, so that the notification is rendered again when the slot appears on a later route of single-page apps.
+ * @param {Object} data - The data object containing various properties for the inline notification.
+ * */
+const showInlineNotification = (data) => {
+	if (!data.slot) {
+		console.log(`${swan.app_name}-inline on-site notification without a slot`);
+		return;
+	}
+	swan.inlinePlacements[data.slot] = data;
+	watchInlineSlots();
+};
+
+/**
+ * How fast, in pixels per millisecond, the page has to be scrolled up on mobile to count as an exit intent.
+ */
+const EXIT_INTENT_SCROLL_SPEED = 1.5;
+
+/**
+ * The events that count as activity of the user for the inactivity trigger.
+ */
+const ACTIVITY_EVENTS = [
+	'mousemove',
+	'keydown',
+	'scroll',
+	'touchstart',
+	'click',
+];
+
+/**
+ * The behavioral triggers an on-site notification can wait for before it is shown.
+ * Each one calls fire once its condition is met, and returns a function that stops listening.
+ */
+const NOTIFICATION_TRIGGERS = {
+	/**
+	 * The user is about to leave: the mouse leaves the top of the viewport on desktop, the page is quickly scrolled up on mobile.
+	 */
+	exitIntent: (value, fire, isMobile) => {
+		if (!isMobile) {
+			const onMouseOut = (event) => {
+				if (!event.relatedTarget && event.clientY <= 0) fire();
+			};
+			document.addEventListener('mouseout', onMouseOut);
+			return () => document.removeEventListener('mouseout', onMouseOut);
 		}
 
-		const image = document.createElement('img');
-		image.setAttribute('src', `${imageUrl}`);
-		image.setAttribute(
-			'style',
-			'width:inherit;height:inherit;object-fit:contain;'
+		let lastScrollY = window.scrollY;
+		let lastScrollAt = Date.now();
+		const onScroll = () => {
+			const now = Date.now();
+			const speed = (lastScrollY - window.scrollY) / (now - lastScrollAt || 1);
+			lastScrollY = window.scrollY;
+			lastScrollAt = now;
+			if (speed >= EXIT_INTENT_SCROLL_SPEED) fire();
+		};
+		window.addEventListener('scroll', onScroll, { passive: true });
+		return () => window.removeEventListener('scroll', onScroll);
+	},
+	/**
+	 * The page is scrolled down to the given percentage, pages that don't scroll count as fully scrolled.
+	 */
+	scrollDepth: (percentage, fire) => {
+		const onScroll = () => {
+			const { scrollHeight } = document.documentElement;
+			const scrolled =
+				((window.scrollY + window.innerHeight) / scrollHeight) * 100;
+			if (scrolled >= percentage) fire();
+		};
+		window.addEventListener('scroll', onScroll, { passive: true });
+		onScroll();
+		return () => window.removeEventListener('scroll', onScroll);
+	},
+	/**
+	 * The page has been open for the given number of seconds, counted from the start of the navigation,
+	 * or from the last route change of single-page apps.
+	 */
+	timeOnPage: (seconds, fire) => {
+		const timeOnPage = performance.now() - swan.routeChangedAt;
+		const timer = setTimeout(fire, Math.max(0, seconds * 1000 - timeOnPage));
+		return () => clearTimeout(timer);
+	},
+	/**
+	 * The user hasn't done anything for the given number of seconds.
+	 */
+	inactivity: (seconds, fire) => {
+		let timer = setTimeout(fire, seconds * 1000);
+		const onActivity = () => {
+			clearTimeout(timer);
+			timer = setTimeout(fire, seconds * 1000);
+		};
+		ACTIVITY_EVENTS.forEach((type) =>
+			window.addEventListener(type, onActivity, { passive: true })
 		);
-		imageContainer.appendChild(image);
-		card.appendChild(imageContainer);
-	}
+		return () => {
+			clearTimeout(timer);
+			ACTIVITY_EVENTS.forEach((type) =>
+				window.removeEventListener(type, onActivity)
+			);
+		};
+	},
+};
 
-	// Creating a descriptionContainer div and setting its style attributes.
-	const descriptionContainer = document.createElement('div');
-	descriptionContainer.setAttribute(
-		'style',
-		'display:flex;justify-content:start;max-width:70%;margin-left:3rem;margin-right:3rem;'
-	);
+/**
+ * The renderers of the overlay on-site notifications by subType.
+ */
+const OVERLAY_RENDERERS = {
+	popup: showCenterModalNotification,
+	header: showHeaderNotification,
+	footer: showFooterNotification,
+	toast: showToastNotification,
+	interstitial: showInterstitialNotification,
+};
 
-	if (isMobile) {
-		descriptionContainer.setAttribute(
-			'style',
-			'display:flex;justify-content:start;max-width:70%;margin-left:1rem;margin-right:1rem;'
-		);
+/**
+ * Reads a list stored by the SDK in local storage, e.g. the cart or the wishlist.
+ *
+ * @param {string} key - The key of the list.
+ * @returns {Array<Object>} The list, empty when it is missing or unreadable.
+ */
+const getStoredList = (key) => {
+	try {
+		return JSON.parse(window.localStorage.getItem(key)) || [];
+	} catch (error) {
+		return [];
 	}
+};
 
-	// Creating a descriptionSpan, setting its style attributes and innerHTML, and appending it to the descriptionContainer.
-	const descriptionSpan = document.createElement('span');
-	descriptionSpan.setAttribute(
-		'style',
-		` line-height: 1.4;
-				 word-wrap: break-word;
-				 text-overflow: ellipsis;
-				 overflow: hidden;
-				 display: -webkit-box;
-				 -webkit-line-clamp: 2;
-				 -webkit-box-orient: vertical;
-				 font-size:1rem;
-				 font-weight:400;
-				 text-align:left;color:${descriptionColor}`
+/**
+ * Adds up the prices of the items of the cart, an item without a quantity counting once.
+ *
+ * @param {Array<{ price: string, quantity: string }>} cart - The items of the cart.
+ * @returns {number} The value of the cart.
+ */
+const getCartValue = (cart) =>
+	cart.reduce(
+		(total, item) =>
+			total + (Number(item.price) || 0) * (Number(item.quantity) || 1),
+		0
 	);
-	descriptionSpan.innerHTML = description;
-	descriptionContainer.appendChild(descriptionSpan);
-	card.appendChild(descriptionContainer);
-
-	// If primaryButtonSwitch is true, create a buttonContainer div and append a primaryButton to it.
-	if (primaryButtonSwitch) {
-		const buttonContainer = document.createElement('div');
-		buttonContainer.setAttribute(
-			'style',
-			'display:flex;justify-content:space-between'
-		);
 
-		const primaryButton = document.createElement('a');
-		primaryButton.setAttribute(
-			'style',
-			`text-decoration:none;padding:0.3rem 0.7rem;background-color:${primaryButtonBackground};color:${primaryButtonFontColor}`
-		);
+/**
+ * Checks whether the page is shown on a mobile screen, the on-site notifications are laid out and targeted for it.
+ *
+ * @returns {boolean}
+ */
+const isMobileScreen = () => window.matchMedia('(max-width: 500px)').matches;
 
-		if (isMobile) {
-			primaryButton.setAttribute(
-				'style',
-				`text-decoration:none;padding:0.3rem 0.5rem;background-color:${primaryButtonBackground};color:${primaryButtonFontColor};margin-right:0.5rem;`
-			);
-		}
+/**
+ * Collects what the audience rules look at about the current visitor.
+ * It is sent to the service worker, which leaves out the notifications of other audiences before choosing one.
+ *
+ * @param {boolean} isMobile - Whether the page is shown on a mobile screen.
+ * @returns {Object} The context of the visitor.
+ */
+const getAudienceContext = (isMobile) => {
+	const cart = getStoredList('cart');
 
-		primaryButton.setAttribute('href', `${primaryButtonAction}`);
-		primaryButton.setAttribute('target', '_blank');
-		const primaryButtonSpan = document.createElement('span');
-		primaryButtonSpan.setAttribute(
-			'style',
-			'display:flex;justify-content:center'
-		);
-		primaryButtonSpan.innerHTML = primaryButtonLabel;
+	// A visitor is returning once a session has started before the current one, or when the last one is over.
+	// The first session of a visitor is only recorded when it starts, so the visitor stays new during the whole of it.
+	const session = swan.getSession();
+	const isSessionActive =
+		session && Date.now() - session.lastActivityAt <= swan.sessionTimeout;
+	const firstSessionAt = Number(
+		window.localStorage.getItem('swan_firstSessionAt')
+	);
 
-		// Adding an event listener to the primaryButton. On click, the container's display is set to none and the padding-top of the body is adjusted.
-		primaryButton.addEventListener(
-			'click',
-			async () => {
-				container.setAttribute('style', 'display:none;');
+	return {
+		isMobile,
+		os: swan.getOsModel(),
+		deviceBrand: swan.getDeviceBrand(),
+		loggedIn: Boolean(swan.getUserId()),
+		cart,
+		cartValue: getCartValue(cart),
+		wishlist: getStoredList('swan_wishlist'),
+		isReturning:
+			Boolean(firstSessionAt) &&
+			(!isSessionActive || firstSessionAt < session.startedAt),
+	};
+};
 
-				// Get the current padding-top value in pixels and convert it to rem
-				const currentPaddingTopInPx2 = parseFloat(
-					window.getComputedStyle(body, null).getPropertyValue('padding-top')
-				);
-				const currentPaddingTopInRem2 = currentPaddingTopInPx2 / bodyFontSize;
-
-				// Calculate the new padding-top value
-				const newPaddingTop2 = currentPaddingTopInRem2 - 4; // subtracting 4rem
-
-				// Set the new padding-top value
-				body.style.paddingTop = `${newPaddingTop2}rem`;
-
-				// Send Message only when service worker is ready
-				const registration = await navigator.serviceWorker.ready;
-				if (registration) {
-					registration.active.postMessage({
-						purpose: 'send-ack-to-api',
-						CDID,
-						commId,
-						event: 'clicked',
-					});
-				}
-			},
-			false
-		);
-		primaryButton.appendChild(primaryButtonSpan);
-		buttonContainer.appendChild(primaryButton);
+/**
+ * Escapes a value for html, so that a personalized value is shown as text.
+ *
+ * @param {string} value - The value to escape.
+ * @returns {string} The escaped value.
+ */
+const escapeHtml = (value) =>
+	value.replace(
+		/[&<>"']/g,
+		(character) =>
+			({
+				'&': '&amp;',
+				'<': '&lt;',
+				'>': '&gt;',
+				'"': '&quot;',
+				"'": '&#39;',
+			}[character])
+	);
 
-		card.appendChild(buttonContainer);
+/**
+ * Collects the values the personalization tokens of the notifications are resolved from:
+ * the traits of the user, e.g. {{firstName}}, the cart, the wishlist and the recently viewed products.
+ *
+ * @returns {Object} The personalization context.
+ */
+const getPersonalizationContext = () => {
+	let traits = {};
+	try {
+		traits = JSON.parse(window.localStorage.getItem('swan_traits')) || {};
+	} catch (error) {
+		traits = {};
 	}
+	const cart = getStoredList('cart');
+	const wishlist = getStoredList('swan_wishlist');
+	const recentlyViewed = getStoredList('swan_recentlyViewed');
 
-	// Creating a cross div and setting its style attributes.
-	const cross = document.createElement('div');
-	cross.setAttribute(
-		'style',
-		`cursor:pointer;margin-left:auto;margin-right:0.5rem;color:${crossButtonColor};`
-	);
+	return {
+		...traits,
+		traits,
+		userId: swan.getUserId(),
+		cart,
+		cartCount: cart.length,
+		cartValue: getCartValue(cart),
+		wishlist,
+		wishlistCount: wishlist.length,
+		recentlyViewed,
+		lastViewedProduct: recentlyViewed[0],
+	};
+};
 
-	cross.innerHTML =
-		'  <svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 16 16" width="25" height="25" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"> <path d="m10.25 5.75-4.5 4.5m0-4.5 4.5 4.5"/> <circle cx="8" cy="8" r="6.25"/> </svg>';
+/**
+ * Stores a copy of the personalization context in the cache, for the service worker to personalize the push notifications.
+ * Push notifications are marketing, so nothing is stored without the marketing consent.
+ *
+ * @returns {Promise<void>} A promise that resolves when the context has been stored.
+ */
+const syncPersonalizationContext = async () => {
+	if (!swan.hasConsent('marketing') || !('caches' in window)) return;
+	try {
+		const cache = await caches.open('swan-cache');
+		await cache.put(
+			'/personalizationContext',
+			new Response(JSON.stringify(getPersonalizationContext()))
+		);
+	} catch (error) {
+		console.error('Failed to store the personalization context:', error);
+	}
+};
 
-	card.appendChild(cross);
-	// Adding an event listener to the cross. On click, the container's display is set to none and the padding-top of the body is adjusted.
-	cross.addEventListener(
-		'click',
-		() => {
-			container.setAttribute('style', 'display:none;');
+/**
+ * Removes the copy of the personalization context from the cache, the push notifications are not personalized anymore.
+ *
+ * @returns {Promise<void>} A promise that resolves when the context has been removed.
+ */
+const clearPersonalizationContext = async () => {
+	if (!('caches' in window)) return;
+	try {
+		const cache = await caches.open('swan-cache');
+		await cache.delete('/personalizationContext');
+	} catch (error) {
+		console.error('Failed to remove the personalization context:', error);
+	}
+};
 
-			console.log(
-				"window.getComputedStyle(body, null).getPropertyValue('padding-top')",
-				window.getComputedStyle(body, null).getPropertyValue('padding-top')
-			);
+/**
+ * Waits for the trigger of an on-site notification before showing it.
+ * Only one notification waits at a time, the one waiting before is cancelled, and so is this one when the page changes.
+ *
+ * @param {{ type: ('exitIntent'|'scrollDepth'|'timeOnPage'|'inactivity'), value: number }} trigger - The trigger of the notification, shown immediately when missing.
+ * @param {boolean} isMobile - Whether the page is shown on a mobile screen.
+ * @param {Function} show - Renders the notification.
+ * @param {string} commId - The commId of the notification, so that it can be cancelled when the server revokes it.
+ */
+const waitForNotificationTrigger = (trigger, isMobile, show, commId) => {
+	swan.cancelNotificationTrigger();
+	if (!trigger || !trigger.type) {
+		show();
+		return;
+	}
 
-			// Get the current padding-top value in pixels and convert it to rem
-			const currentPaddingTopInPx2 = parseFloat(
-				window.getComputedStyle(body, null).getPropertyValue('padding-top')
-			);
-			const currentPaddingTopInRem2 = currentPaddingTopInPx2 / bodyFontSize;
+	const startTrigger = NOTIFICATION_TRIGGERS[trigger.type];
+	if (!startTrigger) {
+		console.log(
+			`${swan.app_name}-unknown on-site notification trigger ${trigger.type}`
+		);
+		return;
+	}
 
-			// Calculate the new padding-top value
-			const newPaddingTop2 = currentPaddingTopInRem2 - 4; // subtracting 4rem // Adding 4rem
+	let stop = null;
+	const fire = () => {
+		swan.cancelNotificationTrigger();
+		show();
+	};
+	swan.pendingNotificationTrigger = () => {
+		swan.pendingNotificationTrigger = null;
+		swan.pendingNotificationCommId = null;
+		if (stop) stop();
+	};
+	swan.pendingNotificationCommId = commId;
+	stop = startTrigger(trigger.value, fire, isMobile);
+	// the trigger may already be met when it starts, e.g. the scroll depth of a short page
+	if (!swan.pendingNotificationTrigger) stop();
+};
 
-			// Set the new padding-top value
-			body.style.paddingTop = `${newPaddingTop2}rem`;
-		},
-		false
-	);
+/**
+ * Asks the service worker for the on-site notification to show on the given url.
+ *
+ * @param {string} url - The url of the page.
+ * @returns {Promise<void>} A promise that resolves when the message has been posted.
+ */
+const requestOnSiteNotification = async (url) => {
+	// On-site notifications are only looked up with the marketing consent
+	if (!swan.hasConsent('marketing')) return;
 
-	// Appending the container to the body of the document.
-	document.body.appendChild(container);
+	// Send Message only when service worker is ready
+	const registration = await navigator.serviceWorker.ready;
+	if (registration) {
+		// The service worker checks the frequency caps of the session and the audience of the visitor before choosing a notification.
+		registration.active.postMessage({
+			purpose: 'fetch-notification-from-indexed-db',
+			url,
+			sessionId: swan.getNotificationSessionId(),
+			frequencyCap: swan.notificationFrequencyCap,
+			followUser: swan.notificationFollowUser,
+			audienceContext: getAudienceContext(isMobileScreen()),
+		});
+	}
 };
 
-// Add an event listener for the 'load' event on the window object.
-// The 'load' event is fired when the whole page has loaded, including all dependent resources such as stylesheets and images.
-window.addEventListener('load', async () => {
-	// This is the callback function that gets executed when the 'load' event is fired.
-	// At this point, all resources (including CSS, images, etc.) have finished loading.
-
-	console.log('On window load');
+/**
+ * Fetches the on-site notifications of the user and looks one up for the page.
+ * Runs once the page has loaded, or when the marketing consent is given afterwards.
+ *
+ * @returns {Promise<void>} A promise that resolves when the notification has been asked for.
+ */
+const loadOnSiteNotifications = async () => {
+	// On-site notifications are only fetched and stored with the marketing consent
+	if (!swan.hasConsent('marketing')) return;
 
 	// Post a message to the service worker controlling this page.
 	// The 'postMessage' method allows you to send a message (in the form of a JavaScript object) to the service worker.
@@ -1102,6 +4081,8 @@ window.addEventListener('load', async () => {
 	// This could be used by the service worker to determine what action to take upon receiving the message.
 	await syncCache();
 
+	await syncPersonalizationContext();
+
 	// Send Message only when service worker is ready
 	const registration = await navigator.serviceWorker.ready;
 	if (registration) {
@@ -1110,10 +4091,47 @@ window.addEventListener('load', async () => {
 			url: window.location.href,
 		});
 
-		registration.active.postMessage({
-			purpose: 'fetch-notification-from-indexed-db',
-			url: window.location.href,
-		});
+		await requestOnSiteNotification(window.location.href);
+	}
+};
+
+// Add an event listener for the 'load' event on the window object.
+// The 'load' event is fired when the whole page has loaded, including all dependent resources such as stylesheets and images.
+window.addEventListener('load', async () => {
+	// This is the callback function that gets executed when the 'load' event is fired.
+	// At this point, all resources (including CSS, images, etc.) have finished loading.
+
+	console.log('On window load');
+
+	await loadOnSiteNotifications();
+});
+
+// Send the ecom events left in the queue by previous page loads.
+window.addEventListener('load', () => {
+	if (swan.hasConsent('analytics')) EventQueueSwan.flush();
+});
+
+// Retry the queued ecom events as soon as the browser comes back online.
+window.addEventListener('online', () => {
+	if (swan.hasConsent('analytics')) EventQueueSwan.flush();
+});
+
+// Send the buffered ecom events before the page goes away.
+// 'visibilitychange' is the last event that is reliably fired on mobile, 'pagehide' covers the browsers where it isn't.
+window.addEventListener('pagehide', () => EventQueueSwan.sendBeacon());
+document.addEventListener('visibilitychange', () => {
+	if (document.visibilityState === 'hidden') EventQueueSwan.sendBeacon();
+});
+
+// Let the service worker know the user is looking at this tab, it may hold an on-site notification for it.
+document.addEventListener('visibilitychange', async () => {
+	if (document.visibilityState !== 'visible') return;
+	if (!swan.notificationFollowUser || !swan.hasConsent('marketing')) return;
+
+	// Send Message only when service worker is ready
+	const registration = await navigator.serviceWorker.ready;
+	if (registration) {
+		registration.active.postMessage({ purpose: 'page-visible' });
 	}
 });
 
@@ -1144,19 +4162,32 @@ navigator.serviceWorker.addEventListener('message', (event) => {
 	// Log the notification data for debugging purposes.
 	console.log('notification', data);
 
-	if (
-		data.displayIn &&
-		data.displayIn !== 'all' &&
-		!window.location.href.includes(data.displayIn)
-	) {
+	// The page may have changed since the notification was chosen, so the targeting is checked again, the same way the service worker does.
+	if (!SwanShared.matchesDisplayIn(data.displayIn, window.location.href)) {
 		return;
 	}
 
 	// Destructure the 'subType', 'design', and 'displayIn' properties from the notification data.
-	const { subType, design, commId, CDID } = data;
+	const { subType, design, commId, CDID, sessionId } = data;
+
+	// Unknown types are left out before they wait for their trigger or take a place in the queue.
+	if (subType !== 'inline' && !OVERLAY_RENDERERS[subType]) {
+		console.log(
+			`${swan.app_name}-unknown on-site notification type ${subType}`
+		);
+		return;
+	}
 
-	// Destructure the 'title', 'description', 'imageUrl', 'fontFamily', 'colors', and 'buttons' properties from the design.
-	const { title, description, imageUrl, fontFamily, colors, buttons } = design;
+	// Destructure the 'title', 'description', 'imageUrl', 'fontFamily', 'colors', 'buttons' and 'autoCloseAfter' properties from the design.
+	const {
+		title,
+		description,
+		imageUrl,
+		fontFamily,
+		colors,
+		buttons,
+		autoCloseAfter = swan.notificationAutoCloseAfter,
+	} = design;
 
 	// Destructure the color properties from the colors.
 	const {
@@ -1171,8 +4202,9 @@ navigator.serviceWorker.addEventListener('message', (event) => {
 	} = colors;
 
 	// Get the primary and secondary button configurations.
-	const primaryButtonConfig = buttons[0];
-	const secondaryButtonConfig = buttons[1];
+	// The footer bar only has a primary button, so the secondary one can be missing.
+	const primaryButtonConfig = buttons[0] || {};
+	const secondaryButtonConfig = buttons[1] || {};
 
 	// Destructure the 'label', 'action', and 'primaryButtonSwitch' properties from the primary button configuration.
 	const {
@@ -1188,51 +4220,91 @@ navigator.serviceWorker.addEventListener('message', (event) => {
 		secondaryButtonSwitch,
 	} = secondaryButtonConfig;
 
-	// Initialize a variable to hold whether the device is mobile.
-	let isMobile = false;
+	// Whether the device is mobile, for viewports at most 500px wide.
+	const isMobile = isMobileScreen();
 
-	// Create a media query that targets viewports at most 500px wide.
-	const mediaQuery = window.matchMedia('(max-width: 500px)');
+	// Depending on the 'subType', call the appropriate function with the notification payload.
+	const show = () => {
+		// Create the notification payload.
+		// The personalization tokens are resolved when the notification is rendered, from the latest state of the visitor.
+		// The content comes from the campaign, so the rich text, urls, colors and fonts are sanitized before any renderer uses them.
+		const context = getPersonalizationContext();
+		const personalize = (text) =>
+			SwanShared.renderTemplate(text, context, escapeHtml);
+		const notificationPayload = {
+			isMobile,
+			title: sanitizeHtml(personalize(title)),
+			description: sanitizeHtml(personalize(description)),
+			imageUrl: sanitizeUrl(imageUrl),
+			fontFamily: sanitizeFontFamily(fontFamily),
+			titleColor: sanitizeColor(titleColor),
+			descriptionColor: sanitizeColor(descriptionColor),
+			primaryButtonBackground: sanitizeColor(primaryButtonBackground),
+			primaryButtonFontColor: sanitizeColor(primaryButtonFontColor),
+			secondaryButtonBackground: sanitizeColor(secondaryButtonBackground),
+			secondaryButtonFontColor: sanitizeColor(secondaryButtonFontColor),
+			themeBackground: sanitizeColor(themeBackground),
+			crossButtonColor: sanitizeColor(crossButtonColor),
+			primaryButtonLabel: sanitizeHtml(personalize(primaryButtonLabel)),
+			primaryButtonAction: sanitizeUrl(primaryButtonAction),
+			primaryButtonSwitch,
+			secondaryButtonLabel: sanitizeHtml(personalize(secondaryButtonLabel)),
+			secondaryButtonAction: sanitizeUrl(secondaryButtonAction),
+			secondaryButtonSwitch,
+			commId,
+			CDID,
+			sessionId,
+			autoCloseAfter,
+			slot: data.slot,
+			displayIn: data.displayIn,
+		};
 
-	// If the media query matches, set 'isMobile' to true.
-	if (mediaQuery.matches) {
-		isMobile = true;
-	}
+		if (subType === 'inline') {
+			showInlineNotification(notificationPayload);
+		} else {
+			OVERLAY_RENDERERS[subType](notificationPayload);
+		}
+	};
 
-	// Create the notification payload.
-	const notificationPayload = {
-		isMobile,
-		title,
-		description,
-		imageUrl,
-		fontFamily,
-		titleColor,
-		descriptionColor,
-		primaryButtonBackground,
-		primaryButtonFontColor,
-		secondaryButtonBackground,
-		secondaryButtonFontColor,
-		themeBackground,
-		crossButtonColor,
-		primaryButtonLabel,
-		primaryButtonAction,
-		primaryButtonSwitch,
-		secondaryButtonLabel,
-		secondaryButtonAction,
-		secondaryButtonSwitch,
-		commId,
-		CDID,
+	// Inline notifications are part of the page, the overlays go through the queue so that they never stack.
+	const display = () => {
+		if (subType === 'inline') {
+			show();
+			return;
+		}
+		NotificationQueueSwan.enqueue({
+			commId,
+			priority: Number(data.priority) || 0,
+			displayIn: data.displayIn,
+			show,
+		});
 	};
 
-	// Depending on the 'subType', call the appropriate function with the notification payload.
-	switch (subType) {
-		case 'popup':
-			showCenterModalNotification(notificationPayload);
-			break;
-		case 'header':
-			showHeaderNotification(notificationPayload);
-			break;
+	// The notification is only shown once its trigger, if any, is met.
+	waitForNotificationTrigger(data.trigger, isMobile, display, commId);
+});
+
+// Add an event listener for the 'message' event on the service worker.
+// The service worker posts 'revoke-on-site-notification' when the server withdraws notifications, they are not shown anymore.
+// The ones waiting for their trigger are cancelled, and the ones on screen are removed.
+navigator.serviceWorker.addEventListener('message', (event) => {
+	const { purpose, commIds } = event.data;
+	if (purpose !== 'revoke-on-site-notification' || !commIds) return;
+
+	if (commIds.includes(swan.pendingNotificationCommId)) {
+		swan.cancelNotificationTrigger();
 	}
+	NotificationQueueSwan.revoke(commIds);
+	Object.keys(swan.inlinePlacements).forEach((slot) => {
+		if (commIds.includes(swan.inlinePlacements[slot].commId)) {
+			delete swan.inlinePlacements[slot];
+		}
+	});
+	if (!Object.keys(swan.inlinePlacements).length) stopWatchingSlots();
+	// closing the overlay on screen shows the next one in the queue, the revoked ones have already left it
+	commIds.forEach((commId) =>
+		(swan.renderedNotifications[commId] || []).forEach((close) => close())
+	);
 });
 
 // eslint-disable-next-line no-underscore-dangle